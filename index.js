@@ -1,345 +1,794 @@
 const TelegramBot = require("node-telegram-bot-api");
 const { VertexAI } = require("@google-cloud/vertexai");
-const { TELEGRAM_KEY } = require("./telegram.js");
 const { GoogleAuth } = require("google-auth-library");
-const { google } = require("googleapis");
 const path = require("path");
+const crypto = require("crypto");
+const { runAgentTurn, formatTrace, getText } = require("./src/agentLoop");
+const { createInventoryTools } = require("./src/inventoryTools");
+const { SheetsService } = require("./src/sheetsService");
+const { createRepository } = require("./src/repositories");
+const { AuditLog } = require("./src/auditLog");
+const { itemLocations, sameLocation } = require("./src/inventorySchema");
+const { PendingConfirmations } = require("./src/pendingConfirmations");
+const { ChatSessionStore } = require("./src/chatSessionStore");
+const { LowStockMonitor } = require("./src/lowStockMonitor");
+const { DigestScheduler } = require("./src/inventoryDigest");
+const { AccessControl, hasRole } = require("./src/accessControl");
+const {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  readImportFile,
+  toImportRecords,
+  formatImportPreview,
+} = require("./src/bulkImport");
+const {
+  GeminiReceiptExtractor,
+  planReceipt,
+  formatReceiptPreview,
+} = require("./src/receiptIngestion");
+const {
+  parseCommand,
+  createTelegramCommands,
+} = require("./src/telegramCommands");
+const { present, presentToolResponse } = require("./src/presenter");
+const {
+  ApiCaller,
+  isTransientError,
+  TRY_AGAIN_LATER_MESSAGE,
+} = require("./src/apiCaller");
+const {
+  loadConfig,
+  getSpreadsheet,
+  resolveSpreadsheet,
+} = require("./src/config");
+const {
+  SheetRouter,
+  targetKey,
+  formatUnavailable,
+} = require("./src/sheetRouter");
+const { ERROR_CODES, failure, isFailure } = require("./src/results");
 
 // --- Configuration ---
-const SERVICE_ACCOUNT_FILE = path.join(__dirname, "credentials.json");
-const SPREADSHEET_ID = "1uyWTJ6sWMcoSu7o4bAiJ0eXWauJKC0car3yyWbEk3Vc";
-const WORKSHEET_NAME = "Sheet1";
-const PROJECT_ID = "sheet-gemini-poc";
-const LOCATION = "asia-south1";
-const MODEL_NAME = "gemini-1.5-flash";
+// Deployment settings (bot token, Google Cloud project, spreadsheets) come
+// from the environment or config.json, see src/config.js
+let config;
+try {
+  config = loadConfig({ needs: ["telegram", "vertex", "sheets"] });
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
 const SHEETS_SCOPES = ["https://www.googleapis.com/auth/spreadsheets"];
+const MAX_TOOL_ITERATIONS = 5; // Tool round-trips allowed per user message
+// Requests in flight at once per API; more wait in line, and all of them
+// back off together when Google answers 429 (quota exceeded)
+const SHEETS_MAX_CONCURRENT = 4;
+const VERTEX_MAX_CONCURRENT = 2;
+// The sheet is read at most this often; /refresh picks up hand edits sooner
+const INVENTORY_CACHE_TTL_MS = 15 * 1000;
+// Risky tool calls (deletes, price changes, quantity jumps above these
+// thresholds) are only applied after pressing Confirm
+const CONFIRM_THRESHOLDS = { maxChangePercent: 200, maxChangeAbsolute: 100 };
+const CONFIRMATION_TIMEOUT_MS = 5 * 60 * 1000;
+// Role grants made with /grant are stored here
+const ACCESS_FILE = path.join(__dirname, "access.json");
+// Gemini conversations are kept here across restarts; /reset clears one
+const SESSIONS_FILE = path.join(__dirname, "chat_sessions.json");
+const MAX_HISTORY_MESSAGES = 40; // Older messages are dropped, whole turns
+const SESSION_IDLE_TIMEOUT_MS = 24 * 60 * 60 * 1000; // Then start afresh
+// Items without a "Reorder Level" cell are low at or below this quantity
+const DEFAULT_REORDER_LEVEL = 5;
+const LOW_STOCK_CHECK_INTERVAL_MS = 15 * 60 * 1000; // Also checked on changes
+// Chats subscribed with /subscribe and the items already alerted
+const LOW_STOCK_FILE = path.join(__dirname, "low_stock.json");
+// Digest schedules set with /digest and what each chat was last sent
+const DIGEST_FILE = path.join(__dirname, "digests.json");
+// Chats connected to another spreadsheet with /connect
+const SHEET_BINDINGS_FILE = path.join(__dirname, "sheet_bindings.json");
+const DIGEST_CHECK_INTERVAL_MS = 60 * 1000;
+const DEFAULT_DIGEST_TIME_ZONE = "UTC"; // When /digest names no time zone
+const DIGEST_GEMINI_SUMMARY = true; // Put a Gemini-written paragraph on top
+const MAX_IMPORT_FILE_BYTES = 1024 * 1024; // CSV/XLSX files sent for import
+const MAX_RECEIPT_IMAGE_BYTES = 10 * 1024 * 1024; // Delivery note photos
+
+// Initialize Telegram Bot
+const bot = new TelegramBot(config.telegramToken, {
+  polling: true,
+  filepath: false,
+});
+
+// Add error handling
+bot.on("polling_error", (error) => {
+  console.error("Polling error:", error);
+});
+
+bot.on("error", (error) => {
+  console.error("Bot error:", error);
+});
+
+// Store chat sessions
+const sessionStore = new ChatSessionStore(SESSIONS_FILE, {
+  maxHistoryMessages: MAX_HISTORY_MESSAGES,
+  idleTimeoutMs: SESSION_IDLE_TIMEOUT_MS,
+});
+sessionStore.pruneExpired();
+setInterval(() => sessionStore.pruneExpired(), 60 * 60 * 1000).unref();
+
+// Telegram user ids in TELEGRAM_ADMIN_IDS are always admins
+const accessControl = new AccessControl(ACCESS_FILE, {
+  adminIds: config.adminIds,
+});
+if (config.adminIds.length === 0) {
+  console.warn(
+    "No TELEGRAM_ADMIN_IDS configured: nobody can grant roles until one is set."
+  );
+}
+
+// Who made a change, as recorded in the History worksheet
+function describeTelegramUser(from) {
+  const name = from.username ? `@${from.username}` : from.first_name;
+  return `telegram:${from.id}${name ? ` (${name})` : ""}`;
+}
+
+async function downloadTelegramFile(fileId) {
+  const chunks = [];
+  for await (const chunk of bot.getFileStream(fileId)) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
 
-// --- Sheets Service Class ---
-class SheetsService {
-  constructor(authClient) {
-    this.sheets = google.sheets({ version: "v4", auth: authClient });
-    this.spreadsheetId = SPREADSHEET_ID;
-    this.worksheetName = WORKSHEET_NAME;
+// Reply for an error that reached a handler. `error.trace` lists the tools
+// Gemini already ran before the error (see src/agentLoop).
+function describeError(error) {
+  const reply = isTransientError(error)
+    ? `Sorry, ${TRY_AGAIN_LATER_MESSAGE}`
+    : "Sorry, I encountered an error. Please try again.";
+  if (error.trace && error.trace.length > 0) {
+    return `${reply} Some steps of your request were already carried out (${error.trace
+      .map((step) => step.name)
+      .join(", ")}), so please check the inventory before repeating it.`;
   }
+  return reply;
+}
 
-  async getSheetInstance() {
-    try {
-      const response = await this.sheets.spreadsheets.get({
-        spreadsheetId: this.spreadsheetId,
+// Initialize the bot
+async function initializeBot() {
+  try {
+    // Authenticate Google Sheets API (not needed for the local backend)
+    let authClient;
+    if (config.backend === "sheets") {
+      const auth = new GoogleAuth({
+        keyFile: config.serviceAccountFile,
+        scopes: SHEETS_SCOPES,
       });
-      console.log(
-        `Connected to Spreadsheet: ${response.data.properties.title}`
-      );
-      return true;
-    } catch (err) {
-      console.error(
-        `Error connecting to spreadsheet ${this.spreadsheetId}:`,
-        err.message
-      );
-      if (err.code === 403) {
-        console.error(
-          "Please ensure the service account has 'Editor' access to this Google Sheet."
-        );
-      } else if (err.code === 404) {
-        console.error("Spreadsheet not found. Check the ID.");
+      authClient = await auth.getClient();
+      console.log("Sheets API Authentication successful!");
+    }
+
+    // Initialize Vertex AI
+    const vertexAI = new VertexAI({
+      project: config.projectId,
+      location: config.location,
+    });
+    const model = vertexAI.getGenerativeModel({ model: config.model });
+    console.log("Vertex AI Authentication successful!");
+
+    // Every Gemini request goes through vertexCaller; chats pass it to
+    // runAgentTurn, one-off requests use vertexModel
+    const vertexCaller = new ApiCaller("Vertex AI", {
+      maxConcurrent: VERTEX_MAX_CONCURRENT,
+    });
+    const vertexModel = {
+      generateContent: (request) =>
+        vertexCaller.call("generateContent", () =>
+          model.generateContent(request)
+        ),
+    };
+
+    // Shared by every spreadsheet, so they all queue for the same quota
+    const sheetsCaller = new ApiCaller("Google Sheets", {
+      maxConcurrent: SHEETS_MAX_CONCURRENT,
+    });
+
+    async function notifyLowStock(chatIds, text) {
+      for (const chatId of chatIds) {
+        try {
+          await bot.sendMessage(chatId, text);
+        } catch (error) {
+          console.error(`Failed to alert chat ${chatId}:`, error.message);
+        }
       }
-      process.exit(1);
     }
-  }
 
-  async readInventory() {
-    console.log("\n--- Reading Current Inventory ---");
-    try {
-      const range = `${this.worksheetName}!A:D`;
-      const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: range,
+    async function summarizeDigest(digest) {
+      const result = await vertexModel.generateContent({
+        contents: [
+          {
+            role: "user",
+            parts: [
+              {
+                text: `Write a short, friendly paragraph (at most three sentences) summarising this inventory digest for the team. Only use the facts given.\n\n${digest}`,
+              },
+            ],
+          },
+        ],
       });
+      return getText(result.response);
+    }
 
-      const rows = response.data.values;
-      if (!rows || rows.length === 0) {
-        return "No data found in inventory.";
+    // Alerts and digests for a spreadsheet other than the default one keep
+    // their state in a file of their own, e.g. low_stock.<hash>.json
+    function workspaceFile(file, target) {
+      if (sheetRouter.isDefault(target)) {
+        return file;
       }
+      const hash = crypto
+        .createHash("sha1")
+        .update(targetKey(target))
+        .digest("hex")
+        .slice(0, 12);
+      return file.replace(/\.json$/, `.${hash}.json`);
+    }
 
-      const headers = rows[0];
-      const data = rows.slice(1).map((row) => {
-        const item = {};
-        headers.forEach((header, index) => {
-          item[header] = row[index] || "";
-        });
-        return item;
+    // Everything built on one worksheet, shared by the chats working on it
+    async function openWorkspace(target) {
+      const repository = createRepository({
+        backend: config.backend,
+        authClient,
+        spreadsheetId: target.spreadsheetId,
+        worksheetName: target.worksheetName,
+        localFile: target.localFile,
+        apiCaller: sheetsCaller,
       });
-
-      let output = "Current Inventory:\n";
-      data.forEach((item) => {
-        output += `- Item: ${item["Name"]}, Quantity: ${item["Quantity"]}, Price: $${item["Price"]}, Last Updated: ${item["Last Updated"]}\n`;
+      const sheetsService = new SheetsService(repository, {
+        auditLog: new AuditLog(
+          repository.forWorksheet(target.historyWorksheetName),
+          repository.worksheetName
+        ),
+        defaultReorderLevel: DEFAULT_REORDER_LEVEL,
+        cacheTtlMs: INVENTORY_CACHE_TTL_MS,
       });
-      return output;
-    } catch (err) {
-      console.error("The API returned an error reading data:", err.message);
-      return "Failed to read inventory.";
+      const connection = await sheetsService.connect();
+      if (isFailure(connection)) {
+        return connection.error.code === ERROR_CODES.PERMISSION_DENIED &&
+          authClient?.email
+          ? failure(
+              ERROR_CODES.PERMISSION_DENIED,
+              `${connection.error.message} Its address is ${authClient.email}.`
+            )
+          : connection;
+      }
+
+      // Alert subscribed chats when items run low
+      const lowStockMonitor = new LowStockMonitor(
+        sheetsService,
+        workspaceFile(LOW_STOCK_FILE, target),
+        notifyLowStock
+      );
+      await lowStockMonitor.start(LOW_STOCK_CHECK_INTERVAL_MS);
+
+      // Scheduled digests, built without Gemini apart from the summary
+      const digestScheduler = new DigestScheduler(
+        sheetsService,
+        workspaceFile(DIGEST_FILE, target),
+        {
+          defaultTimeZone: DEFAULT_DIGEST_TIME_ZONE,
+          send: (chatId, text) => bot.sendMessage(chatId, text),
+          summarize: DIGEST_GEMINI_SUMMARY ? summarizeDigest : null,
+        }
+      );
+      await digestScheduler.start(DIGEST_CHECK_INTERVAL_MS);
+
+      return {
+        title: connection.title,
+        sheetsService,
+        // Tools for Gemini, declared from this sheet's columns
+        toolRegistry: createInventoryTools(sheetsService, {
+          confirmThresholds: CONFIRM_THRESHOLDS,
+        }),
+        lowStockMonitor,
+        digestScheduler,
+      };
     }
-  }
 
-  async addRow(itemName, quantity, price) {
-    console.log(`\n--- Attempting to add new item: ${itemName} ---`);
-    try {
-      const currentTime = new Date()
-        .toLocaleString("en-CA", {
-          year: "numeric",
-          month: "2-digit",
-          day: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-          second: "2-digit",
-          hour12: false,
+    // Chats work on the default spreadsheet unless connected to another
+    const sheetRouter = new SheetRouter(SHEET_BINDINGS_FILE, {
+      defaultTarget: getSpreadsheet(config),
+      resolveTarget: (reference, worksheetName) =>
+        resolveSpreadsheet(config, reference, worksheetName),
+      openWorkspace,
+    });
+    const defaultWorkspace = await sheetRouter.open(sheetRouter.defaultTarget);
+    if (isFailure(defaultWorkspace)) {
+      throw new Error(defaultWorkspace.error.message);
+    }
+    await sheetRouter.openBound();
+
+    // The chat's workspace, or null after telling the chat why there is none
+    async function workspaceFor(chatId) {
+      const workspace = await sheetRouter.forChat(chatId);
+      if (isFailure(workspace)) {
+        await bot.sendMessage(chatId, formatUnavailable(workspace));
+        return null;
+      }
+      return workspace;
+    }
+
+    // Slash commands are answered without asking Gemini
+    const commands = createTelegramCommands({
+      accessControl,
+      sessionStore,
+      sheetRouter,
+      sendDocument: (chatId, file) =>
+        bot.sendDocument(
+          chatId,
+          file.buffer,
+          { caption: file.caption },
+          { filename: file.fileName, contentType: file.contentType }
+        ),
+    });
+
+    // Risky tool calls wait here until Confirm or Cancel is pressed
+    const pendingConfirmations = new PendingConfirmations(
+      CONFIRMATION_TIMEOUT_MS,
+      (entry) =>
+        bot.editMessageText(`${entry.preview}: expired, nothing was changed.`, {
+          chat_id: entry.chatId,
+          message_id: entry.messageId,
         })
-        .replace(/,/, "");
-      const values = [itemName, quantity, price, currentTime];
-      const range = this.worksheetName;
-
-      await this.sheets.spreadsheets.values.append({
-        spreadsheetId: this.spreadsheetId,
-        range: range,
-        valueInputOption: "USER_ENTERED",
-        resource: {
-          values: [values],
+    );
+
+    // Asks the user to confirm; `apply(role)` makes the change and resolves
+    // to the reply, with the role looked up again when Confirm is pressed.
+    async function requestConfirmation(chatId, userId, preview, apply) {
+      const entry = { chatId, userId, preview, apply };
+      const id = pendingConfirmations.add(entry);
+      const sent = await bot.sendMessage(chatId, `${preview}, confirm?`, {
+        reply_markup: {
+          inline_keyboard: [
+            [
+              { text: "Confirm", callback_data: `confirm:${id}` },
+              { text: "Cancel", callback_data: `cancel:${id}` },
+            ],
+          ],
         },
       });
-      return `Successfully added '${itemName}' to the inventory.`;
-    } catch (err) {
-      console.error("The API returned an error adding row:", err.message);
-      return `Failed to add '${itemName}'.`;
+      entry.messageId = sent.message_id;
+      return "pending";
     }
-  }
 
-  async updateItemQuantity(itemName, newQuantity) {
-    console.log(
-      `\n--- Attempting to update item: ${itemName} to quantity ${newQuantity} ---`
-    );
-    try {
-      const allValuesResponse = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: this.spreadsheetId,
-        range: `${this.worksheetName}!A:D`,
+    // Asks the user to pick one of `options` with a button each;
+    // `choose(option)` carries on once one is pressed.
+    async function requestChoice(chatId, userId, question, options, choose) {
+      const entry = { chatId, userId, preview: question, options, choose };
+      const id = pendingConfirmations.add(entry);
+      const sent = await bot.sendMessage(chatId, question, {
+        reply_markup: {
+          inline_keyboard: options.map((option, index) => [
+            { text: option, callback_data: `choose:${id}:${index}` },
+          ]),
+        },
       });
+      entry.messageId = sent.message_id;
+    }
 
-      const rows = allValuesResponse.data.values;
-      if (!rows || rows.length === 0) {
-        return `Item '${itemName}' not found (sheet is empty).`;
+    // Handle Confirm/Cancel and choice button presses
+    bot.on("callback_query", async (query) => {
+      const [action, id, choice] = (query.data || "").split(":");
+      if (!["confirm", "cancel", "choose"].includes(action)) {
+        return;
       }
 
-      const headers = rows[0];
-      const itemColIndex = headers.indexOf("Name");
-      const quantityColIndex = headers.indexOf("Quantity");
-      const lastUpdatedColIndex = headers.indexOf("Last Updated");
-
-      if (
-        itemColIndex === -1 ||
-        quantityColIndex === -1 ||
-        lastUpdatedColIndex === -1
-      ) {
-        return "Error: Missing expected column (Item Name, Quantity, or Last Updated) in your sheet headers.";
-      }
+      try {
+        const entry = pendingConfirmations.get(id);
+        if (!entry || (action === "choose") !== Boolean(entry.choose)) {
+          await bot.answerCallbackQuery(query.id, {
+            text: "This request has expired. Please ask again.",
+          });
+          return;
+        }
+        if (query.from.id !== entry.userId) {
+          await bot.answerCallbackQuery(query.id, {
+            text: "Only the person who asked for this change can confirm it.",
+          });
+          return;
+        }
+        pendingConfirmations.take(id);
+        const target = { chat_id: entry.chatId, message_id: entry.messageId };
+
+        if (action === "choose") {
+          const option = entry.options[Number(choice)];
+          await bot.answerCallbackQuery(query.id, { text: option });
+          await bot.editMessageText(`${entry.preview} ${option}`, target);
+          await entry.choose(option);
+          return;
+        }
 
-      let rowIndex = -1;
-      for (let i = 1; i < rows.length; i++) {
-        if (rows[i][itemColIndex]?.toLowerCase() === itemName.toLowerCase()) {
-          rowIndex = i;
-          break;
+        if (action === "cancel") {
+          await bot.answerCallbackQuery(query.id, { text: "Cancelled" });
+          await bot.editMessageText(
+            `${entry.preview}: cancelled, nothing was changed.`,
+            target
+          );
+          return;
         }
-      }
 
-      if (rowIndex === -1) {
-        return `Item '${itemName}' not found in inventory.`;
+        await bot.answerCallbackQuery(query.id, { text: "Applying..." });
+        await bot.editMessageText(`${entry.preview}: confirmed.`, target);
+
+        // The role is looked up again in case it changed while waiting
+        const reply = await entry.apply(
+          accessControl.getRole(query.from.id, entry.chatId)
+        );
+        await bot.sendMessage(entry.chatId, reply);
+      } catch (error) {
+        console.error("Error processing confirmation:", error);
+        await bot.sendMessage(query.message.chat.id, describeError(error));
       }
+    });
 
-      const currentRowNumber = rowIndex + 1;
-      const currentTime = new Date()
-        .toLocaleString("en-CA", {
-          year: "numeric",
-          month: "2-digit",
-          day: "2-digit",
-          hour: "2-digit",
-          minute: "2-digit",
-          second: "2-digit",
-          hour12: false,
-        })
-        .replace(/,/, "");
+    // CSV/XLSX files are previewed and, once confirmed, imported in bulk
+    async function handleImportDocument(msg, role) {
+      const chatId = msg.chat.id;
+      const { document } = msg;
+      if (!hasRole(role, "manager")) {
+        await bot.sendMessage(
+          chatId,
+          "Sorry, importing items needs the manager role. Please ask an admin for access."
+        );
+        return;
+      }
+      const format = detectImportFormat(document.file_name, document.mime_type);
+      if (!format) {
+        await bot.sendMessage(
+          chatId,
+          `To import items, send a ${IMPORT_FORMATS.join(
+            " or "
+          )} file with a header row, e.g. Name, Quantity, Price.`
+        );
+        return;
+      }
+      if (document.file_size > MAX_IMPORT_FILE_BYTES) {
+        await bot.sendMessage(
+          chatId,
+          `Sorry, that file is too large to import (the limit is ${
+            MAX_IMPORT_FILE_BYTES / 1024
+          } KB).`
+        );
+        return;
+      }
+      const workspace = await workspaceFor(chatId);
+      if (!workspace) {
+        return;
+      }
+      const { sheetsService } = workspace;
 
-      const requests = [
-        {
-          range: `${this.worksheetName}!${String.fromCharCode(
-            65 + quantityColIndex
-          )}${currentRowNumber}`,
-          values: [[newQuantity]],
-        },
-        {
-          range: `${this.worksheetName}!${String.fromCharCode(
-            65 + lastUpdatedColIndex
-          )}${currentRowNumber}`,
-          values: [[currentTime]],
-        },
-      ];
+      let rows;
+      try {
+        rows = await readImportFile(
+          await downloadTelegramFile(document.file_id),
+          format
+        );
+      } catch (error) {
+        console.error("Error reading import file:", error);
+        await bot.sendMessage(
+          chatId,
+          `Sorry, I couldn't read that ${format} file. Please check it and send it again.`
+        );
+        return;
+      }
 
-      await this.sheets.spreadsheets.values.batchUpdate({
-        spreadsheetId: this.spreadsheetId,
-        resource: {
-          valueInputOption: "USER_ENTERED",
-          data: requests,
-        },
-      });
+      const headers = await sheetsService.loadHeaders();
+      const { records, errors, ignoredColumns, error } = toImportRecords(
+        rows,
+        headers
+      );
+      if (error) {
+        await bot.sendMessage(
+          chatId,
+          `Sorry, I can't import that file. ${error}`
+        );
+        return;
+      }
+      const plan = await sheetsService.previewImport(records);
+      const preview = formatImportPreview(plan, errors, ignoredColumns);
+      if (plan.newItems.length === 0 && plan.updates.length === 0) {
+        await bot.sendMessage(
+          chatId,
+          `${preview}\nThere is nothing to import.`
+        );
+        return;
+      }
 
-      return `Updated quantity of '${itemName}' to ${newQuantity}.`;
-    } catch (err) {
-      console.error("The API returned an error updating item:", err.message);
-      return `Failed to update '${itemName}'.`;
+      const context = {
+        actor: describeTelegramUser(msg.from),
+        session: `telegram-chat:${chatId}`,
+      };
+      await requestConfirmation(
+        chatId,
+        msg.from.id,
+        preview,
+        async (current) => {
+          if (!hasRole(current, "manager")) {
+            return "Sorry, importing items needs the manager role.";
+          }
+          const result = present(
+            "importItems",
+            await sheetsService.importItems(
+              records,
+              `Import of ${document.file_name || "a file"}`,
+              context
+            )
+          );
+          return errors.length > 0
+            ? `${result} ${errors.length} line(s) with invalid values were left out, as shown in the preview.`
+            : result;
+        }
+      );
     }
-  }
-}
 
-// Initialize Telegram Bot
-const bot = new TelegramBot(TELEGRAM_KEY, {
-  polling: true,
-  filepath: false,
-});
+    // Photos of delivery notes are read by Gemini and, once confirmed,
+    // received into stock
+    const receiptExtractor = new GeminiReceiptExtractor(vertexModel);
 
-// Add error handling
-bot.on("polling_error", (error) => {
-  console.error("Polling error:", error);
-});
+    async function handleReceiptImage(msg, role, image) {
+      const chatId = msg.chat.id;
+      if (!hasRole(role, "clerk")) {
+        await bot.sendMessage(
+          chatId,
+          "Sorry, receiving stock needs the clerk role. Please ask an admin for access."
+        );
+        return;
+      }
+      if (image.fileSize > MAX_RECEIPT_IMAGE_BYTES) {
+        await bot.sendMessage(
+          chatId,
+          "Sorry, that image is too large. Please send a smaller photo."
+        );
+        return;
+      }
+      const workspace = await workspaceFor(chatId);
+      if (!workspace) {
+        return;
+      }
+      const { sheetsService } = workspace;
 
-bot.on("error", (error) => {
-  console.error("Bot error:", error);
-});
+      let extraction;
+      try {
+        extraction = await receiptExtractor.extract(
+          await downloadTelegramFile(image.fileId),
+          image.mimeType
+        );
+      } catch (error) {
+        console.error("Error reading receipt image:", error);
+        await bot.sendMessage(
+          chatId,
+          isTransientError(error)
+            ? `Sorry, ${TRY_AGAIN_LATER_MESSAGE}`
+            : "Sorry, I couldn't read that photo. Please try a sharper picture of the delivery note."
+        );
+        return;
+      }
+      if (extraction.items.length === 0) {
+        await bot.sendMessage(
+          chatId,
+          "I couldn't find any delivered items in that photo."
+        );
+        return;
+      }
 
-// Store chat sessions
-const chatSessions = new Map();
+      const receive = async (location) => {
+        const plan = planReceipt(
+          extraction.items,
+          await sheetsService.getItems(),
+          location
+        );
+        const preview = formatReceiptPreview(plan);
+        if (plan.receipts.length === 0) {
+          await bot.sendMessage(
+            chatId,
+            `${preview}\nThere is nothing to receive.`
+          );
+          return;
+        }
 
-// Initialize the bot
-async function initializeBot() {
-  try {
-    // Authenticate Google Sheets API
-    const auth = new GoogleAuth({
-      keyFile: SERVICE_ACCOUNT_FILE,
-      scopes: SHEETS_SCOPES,
-    });
-    const authClient = await auth.getClient();
-    console.log("Sheets API Authentication successful!");
+        const context = {
+          actor: describeTelegramUser(msg.from),
+          session: `telegram-chat:${chatId}`,
+        };
+        await requestConfirmation(
+          chatId,
+          msg.from.id,
+          preview,
+          async (current) => {
+            if (!hasRole(current, "clerk")) {
+              return "Sorry, receiving stock needs the clerk role.";
+            }
+            const results = [];
+            for (const receipt of plan.receipts) {
+              results.push(
+                present(
+                  "receiveStock",
+                  await sheetsService.receiveStock(
+                    receipt.name,
+                    receipt.quantity,
+                    "Delivery note photo",
+                    plan.location,
+                    context
+                  )
+                )
+              );
+            }
+            return results.join("\n");
+          }
+        );
+      };
 
-    const sheetsService = new SheetsService(authClient);
-    await sheetsService.getSheetInstance();
+      // On a sheet with several locations the stock goes to the one named
+      // in the photo's caption, or to the one the user picks
+      const locations = itemLocations(await sheetsService.getItems());
+      if (locations.length <= 1) {
+        await receive(null);
+        return;
+      }
+      const captioned = locations.find((location) =>
+        sameLocation(location, msg.caption)
+      );
+      if (captioned) {
+        await receive(captioned);
+        return;
+      }
+      await requestChoice(
+        chatId,
+        msg.from.id,
+        "Which location was this delivered to?",
+        locations,
+        receive
+      );
+    }
 
-    // Initialize Vertex AI
-    const vertexAI = new VertexAI({ project: PROJECT_ID, location: LOCATION });
-    const model = vertexAI.getGenerativeModel({ model: MODEL_NAME });
-    console.log("Vertex AI Authentication successful!");
+    bot.on("photo", async (msg) => {
+      const role = accessControl.getRole(msg.from.id, msg.chat.id);
+      if (!role) {
+        return; // Refused like any other message below
+      }
+      // Telegram sends several sizes, largest last
+      const photo = msg.photo[msg.photo.length - 1];
+      try {
+        await handleReceiptImage(msg, role, {
+          fileId: photo.file_id,
+          fileSize: photo.file_size,
+          mimeType: "image/jpeg",
+        });
+      } catch (error) {
+        console.error("Error processing photo:", error);
+        await bot.sendMessage(msg.chat.id, describeError(error));
+      }
+    });
 
-    // Define tools for Gemini
-    const tools = [
-      {
-        functionDeclarations: [
-          {
-            name: "readInventory",
-            description:
-              "Reads and lists all items currently in the inventory spreadsheet.",
-            parameters: {
-              type: "object",
-              properties: {},
-            },
-          },
-          {
-            name: "addRow",
-            description:
-              "Adds a new item with its quantity and price to the inventory spreadsheet.",
-            parameters: {
-              type: "object",
-              properties: {
-                itemName: {
-                  type: "string",
-                  description: "The name of the item to add.",
-                },
-                quantity: {
-                  type: "number",
-                  description: "The quantity of the new item.",
-                },
-                price: {
-                  type: "number",
-                  description: "The price of a single unit of the new item.",
-                },
-              },
-              required: ["itemName", "quantity", "price"],
-            },
-          },
-          {
-            name: "updateItemQuantity",
-            description:
-              "Updates the quantity of an existing item in the inventory spreadsheet.",
-            parameters: {
-              type: "object",
-              properties: {
-                itemName: {
-                  type: "string",
-                  description:
-                    "The name of the item whose quantity needs to be updated.",
-                },
-                newQuantity: {
-                  type: "number",
-                  description: "The new quantity for the item.",
-                },
-              },
-              required: ["itemName", "newQuantity"],
-            },
-          },
-        ],
-      },
-    ];
+    bot.on("document", async (msg) => {
+      const role = accessControl.getRole(msg.from.id, msg.chat.id);
+      if (!role) {
+        return; // Refused like any other message below
+      }
+      const { document } = msg;
+      try {
+        // Images sent as files (uncompressed) are delivery notes too
+        if ((document.mime_type || "").startsWith("image/")) {
+          await handleReceiptImage(msg, role, {
+            fileId: document.file_id,
+            fileSize: document.file_size,
+            mimeType: document.mime_type,
+          });
+          return;
+        }
+        await handleImportDocument(msg, role);
+      } catch (error) {
+        console.error("Error processing document:", error);
+        await bot.sendMessage(msg.chat.id, describeError(error));
+      }
+    });
 
     // Handle incoming messages
     bot.on("message", async (msg) => {
       const chatId = msg.chat.id;
 
-      // Only process text messages
+      // Only process text messages; documents and photos are handled above
       if (!msg.text) {
+        if (
+          (msg.document || msg.photo) &&
+          !accessControl.getRole(msg.from.id, chatId)
+        ) {
+          await bot.sendMessage(
+            chatId,
+            `Sorry, you don't have access to this inventory bot yet. Please ask an admin to grant you a role (your user id is ${msg.from.id}).`
+          );
+        }
         return;
       }
 
       console.log("message", msg.text);
 
+      // Anyone may use /whoami so an admin can grant them access
+      const command = parseCommand(msg.text);
+      const role = accessControl.getRole(msg.from.id, chatId);
+      if (!role && !(command && commands.isPublic(command.name))) {
+        await bot.sendMessage(
+          chatId,
+          `Sorry, you don't have access to this inventory bot yet. Please ask an admin to grant you a role (your user id is ${msg.from.id}).`
+        );
+        return;
+      }
+
       try {
-        // Get or create chat session
-        if (!chatSessions.has(chatId)) {
-          chatSessions.set(chatId, model.startChat({ tools: tools }));
-        }
-        const chat = chatSessions.get(chatId);
-
-        // Process message with Gemini
-        const result = await chat.sendMessage(msg.text);
-        const response = result.response;
-
-        if (response.candidates?.[0]?.content?.parts?.[0]?.functionCall) {
-          // Handle function call
-          const functionCall =
-            response.candidates[0].content.parts[0].functionCall;
-          const toolResponse = await callTool(functionCall, sheetsService);
-
-          // Send function result back to Gemini
-          const apiResponse = await chat.sendMessage([toolResponse]);
-          const finalResponse =
-            apiResponse?.response?.candidates?.[0]?.content?.parts?.[0]?.text;
-
-          if (finalResponse) {
-            await bot.sendMessage(chatId, finalResponse);
-          } else {
-            await bot.sendMessage(
+        // Commands tell the chat themselves when its spreadsheet is unusable
+        const workspace = await sheetRouter.forChat(chatId);
+
+        // Changes are attributed to the user and grouped by chat for /undo.
+        // The role is checked again by the tool registry on every tool call.
+        const toolContext = {
+          actor: describeTelegramUser(msg.from),
+          session: `telegram-chat:${chatId}`,
+          role,
+          confirm: (preview, functionCall) =>
+            requestConfirmation(
               chatId,
-              "I encountered an error processing your request. Please try again."
-            );
+              msg.from.id,
+              preview,
+              async (current) => {
+                const toolResponse = await workspace.toolRegistry.callTool(
+                  functionCall,
+                  { ...toolContext, role: current, confirmed: true }
+                );
+                return presentToolResponse(toolResponse);
+              }
+            ),
+        };
+
+        if (command) {
+          const reply = await commands.run(command, {
+            chatId,
+            userId: msg.from.id,
+            role,
+            toolContext,
+            workspace,
+          });
+          if (reply) {
+            await bot.sendMessage(chatId, reply);
           }
-        } else if (response.candidates?.[0]?.content?.parts?.[0]?.text) {
-          // Direct text response
+          return;
+        }
+        if (isFailure(workspace)) {
+          await bot.sendMessage(chatId, formatUnavailable(workspace));
+          return;
+        }
+        const { toolRegistry } = workspace;
+
+        // Continue the stored conversation (empty when new or expired)
+        const chat = model.startChat({
+          tools: toolRegistry.getTools(),
+          history: sessionStore.getHistory(chatId),
+        });
+
+        // Process message with Gemini, running tools until it answers
+        const turn = await runAgentTurn(
+          chat,
+          msg.text,
+          (functionCall) => toolRegistry.callTool(functionCall, toolContext),
+          { maxIterations: MAX_TOOL_ITERATIONS, apiCaller: vertexCaller }
+        );
+        console.log(
+          `Tools used for chat ${chatId}: ${formatTrace(turn.trace)}`
+        );
+        sessionStore.setHistory(chatId, await chat.getHistory());
+
+        if (turn.text) {
+          await bot.sendMessage(chatId, turn.text);
+        } else if (turn.trace.length > 0) {
           await bot.sendMessage(
             chatId,
-            response.candidates[0].content.parts[0].text
+            "I encountered an error processing your request. Please try again."
           );
         } else {
           await bot.sendMessage(
@@ -349,54 +798,10 @@ async function initializeBot() {
         }
       } catch (error) {
         console.error("Error processing message:", error);
-        await bot.sendMessage(
-          chatId,
-          "Sorry, I encountered an error. Please try again."
-        );
+        await bot.sendMessage(chatId, describeError(error));
       }
     });
 
-    // Function to handle tool calls
-    async function callTool(functionCall, sheetsService) {
-      const { name, args } = functionCall;
-      console.log(
-        `\nGemini requested to call function: ${name} with args:`,
-        args
-      );
-
-      if (sheetsService[name] && typeof sheetsService[name] === "function") {
-        try {
-          const result = await sheetsService[name](...Object.values(args));
-          return {
-            functionResponse: {
-              name: name,
-              response: { content: result },
-            },
-          };
-        } catch (error) {
-          console.error(`Error executing tool ${name}:`, error);
-          return {
-            functionResponse: {
-              name: name,
-              response: {
-                content: `Error: Failed to execute tool ${name}. ${error.message}`,
-              },
-            },
-          };
-        }
-      } else {
-        console.error(`Error: Function ${name} not found in sheetsService.`);
-        return {
-          functionResponse: {
-            name: name,
-            response: {
-              content: `Error: Function ${name} is not implemented.`,
-            },
-          },
-        };
-      }
-    }
-
     console.log("Bot is ready to receive messages!");
   } catch (error) {
     console.error("Error initializing bot:", error);
@@ -1,13 +1,21 @@
 const { google } = require("googleapis");
-const path = require("path");
 const fs = require("fs");
+const { columnToLetter } = require("./src/a1Notation");
+const { loadConfig, getSpreadsheet } = require("./src/config");
 
 // --- Configuration ---
-// Path to your service account key file
-// Make sure 'credentials.json' is in the same directory as this script.
-const SERVICE_ACCOUNT_FILE = path.join(__dirname, "credentials.json");
-const SPREADSHEET_ID = "1uyWTJ6sWMcoSu7o4bAiJ0eXWauJKC0car3yyWbEk3Vc"; // <--- IMPORTANT: REPLACE THIS!
-const WORKSHEET_NAME = "Sheet1"; // The exact name of your sheet within the spreadsheet
+// The service account key file and the spreadsheet come from the
+// environment or config.json, see src/config.js
+let config;
+try {
+  config = loadConfig({ needs: ["sheets"] });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
+}
+const SERVICE_ACCOUNT_FILE = config.serviceAccountFile;
+const { spreadsheetId: SPREADSHEET_ID, worksheetName: WORKSHEET_NAME } =
+  getSpreadsheet(config);
 
 // Scopes required for Google Sheets API (read/write access)
 const SCOPES = ["https://www.googleapis.com/auth/spreadsheets"];
@@ -23,7 +31,7 @@ async function getAuthClient() {
       err
     );
     console.error(
-      "Please ensure 'credentials.json' exists and is a valid JSON file."
+      "Please ensure the service account key file exists and is a valid JSON file."
     );
     process.exit(1);
   }
@@ -113,7 +121,7 @@ async function updateItemQuantity(
     // First, get all values to find the row index
     const response = await sheets.spreadsheets.values.get({
       spreadsheetId,
-      range: `${worksheetName}!A:D`, // Get enough columns to find item name and quantity
+      range: worksheetName, // Whole worksheet, however many columns it has
     });
 
     const rows = response.data.values;
@@ -157,8 +165,8 @@ async function updateItemQuantity(
     // Update Quantity
     await sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: `${worksheetName}!${String.fromCharCode(
-        65 + quantityColIndex
+      range: `${worksheetName}!${columnToLetter(
+        quantityColIndex
       )}${currentRowNumber}`, // e.g., 'Sheet1!B2'
       valueInputOption: "USER_ENTERED",
       resource: {
@@ -180,8 +188,8 @@ async function updateItemQuantity(
       .replace(/,/, "");
     await sheets.spreadsheets.values.update({
       spreadsheetId,
-      range: `${worksheetName}!${String.fromCharCode(
-        65 + lastUpdatedColIndex
+      range: `${worksheetName}!${columnToLetter(
+        lastUpdatedColIndex
       )}${currentRowNumber}`, // e.g., 'Sheet1!D2'
       valueInputOption: "USER_ENTERED",
       resource: {
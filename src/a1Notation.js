@@ -0,0 +1,35 @@
+// --- A1 Notation Helpers ---
+
+// 0 -> "A", 25 -> "Z", 26 -> "AA", 701 -> "ZZ", 702 -> "AAA"
+function columnToLetter(columnIndex) {
+  let remaining = columnIndex + 1;
+  let letters = "";
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + offset) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+}
+
+// Worksheet names with spaces or punctuation must be quoted, e.g. 'Back Room'!A1
+function quoteWorksheetName(worksheetName) {
+  if (/^[A-Za-z0-9_]+$/.test(worksheetName)) {
+    return worksheetName;
+  }
+  return `'${worksheetName.replace(/'/g, "''")}'`;
+}
+
+// rowNumber is 1-indexed like the sheet, columnIndex is 0-indexed.
+function cellRange(worksheetName, rowNumber, columnIndex) {
+  return `${quoteWorksheetName(worksheetName)}!${columnToLetter(
+    columnIndex
+  )}${rowNumber}`;
+}
+
+// A whole row, e.g. Sheet1!5:5
+function rowRange(worksheetName, rowNumber) {
+  return `${quoteWorksheetName(worksheetName)}!${rowNumber}:${rowNumber}`;
+}
+
+module.exports = { columnToLetter, quoteWorksheetName, cellRange, rowRange };
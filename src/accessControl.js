@@ -0,0 +1,106 @@
+const fs = require("fs");
+
+// --- Access Control ---
+// Roles are ordered: each one can do everything the previous ones can.
+//   viewer  - read the inventory and its history
+//   clerk   - adjust quantities and undo such changes in their chat
+//   manager - add, edit and delete items
+//   admin   - grant and revoke roles
+const ROLES = ["viewer", "clerk", "manager", "admin"];
+
+function isRole(role) {
+  return ROLES.includes(role);
+}
+
+// True when `role` is at least `required`. A missing role never qualifies.
+function hasRole(role, required) {
+  if (!isRole(role)) {
+    return false;
+  }
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+function higherRole(a, b) {
+  if (!isRole(a)) {
+    return isRole(b) ? b : null;
+  }
+  if (!isRole(b)) {
+    return a;
+  }
+  return ROLES.indexOf(a) >= ROLES.indexOf(b) ? a : b;
+}
+
+// Grants are stored in a JSON file keyed by Telegram id. A user id grants a
+// role to that person everywhere; a chat id (negative for groups) grants it
+// to everyone in that chat. Admin ids from configuration cannot be revoked.
+class AccessControl {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.adminIds = new Set((options.adminIds || []).map(String));
+    this.grants = this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8")).grants || {};
+  }
+
+  save() {
+    if (this.filePath) {
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ grants: this.grants }, null, 2)
+      );
+    }
+  }
+
+  // Effective role of a user in a chat, or null when they have no access.
+  getRole(userId, chatId) {
+    if (this.adminIds.has(String(userId))) {
+      return "admin";
+    }
+    return higherRole(
+      this.grants[String(userId)]?.role,
+      this.grants[String(chatId)]?.role
+    );
+  }
+
+  grant(targetId, role, grantedBy) {
+    if (!isRole(role)) {
+      throw new Error(
+        `Unknown role '${role}'. Use one of: ${ROLES.join(", ")}.`
+      );
+    }
+    this.grants[String(targetId)] = {
+      role,
+      grantedBy: grantedBy || "",
+      grantedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  // Returns false when there was nothing to revoke.
+  revoke(targetId) {
+    if (!this.grants[String(targetId)]) {
+      return false;
+    }
+    delete this.grants[String(targetId)];
+    this.save();
+    return true;
+  }
+
+  listGrants() {
+    const grants = Object.entries(this.grants).map(([id, grant]) => ({
+      id,
+      ...grant,
+    }));
+    this.adminIds.forEach((id) =>
+      grants.push({ id, role: "admin", grantedBy: "configuration" })
+    );
+    return grants;
+  }
+}
+
+module.exports = { ROLES, isRole, hasRole, AccessControl };
@@ -0,0 +1,119 @@
+// --- Gemini Agent Loop ---
+// Runs every functionCall part Gemini returns, sends all functionResponses
+// back in one message and repeats until the model answers with plain text.
+// When a message to Gemini fails for good, the error is rethrown with
+// `trace` set to the tools that already ran, so callers can warn that part
+// of the request went through.
+
+const DEFAULT_MAX_ITERATIONS = 5;
+
+function getParts(response) {
+  return response?.candidates?.[0]?.content?.parts || [];
+}
+
+function getText(response) {
+  return getParts(response)
+    .filter((part) => part.text)
+    .map((part) => part.text)
+    .join("");
+}
+
+function getFunctionCalls(response) {
+  return getParts(response)
+    .filter((part) => part.functionCall)
+    .map((part) => part.functionCall);
+}
+
+// options: { maxIterations, apiCaller } - apiCaller (see ./apiCaller)
+// retries and rate-limits the messages sent to Gemini
+async function runAgentTurn(chat, message, callTool, options = {}) {
+  const maxIterations = options.maxIterations ?? DEFAULT_MAX_ITERATIONS;
+  const trace = [];
+
+  // A failed sendMessage leaves the chat history untouched, so it is safe
+  // to repeat.
+  const send = async (content) => {
+    try {
+      return options.apiCaller
+        ? await options.apiCaller.call("sendMessage", () =>
+            chat.sendMessage(content)
+          )
+        : await chat.sendMessage(content);
+    } catch (err) {
+      err.trace = trace;
+      throw err;
+    }
+  };
+
+  let result = await send(message);
+
+  for (let iteration = 1; ; iteration++) {
+    const functionCalls = getFunctionCalls(result.response);
+
+    if (functionCalls.length === 0) {
+      return {
+        text: getText(result.response),
+        trace,
+        response: result.response,
+        limitReached: false,
+      };
+    }
+
+    if (iteration > maxIterations) {
+      // Gemini expects an answer for every call it made, so decline the
+      // pending ones instead of leaving the history dangling.
+      console.warn(
+        `Tool call limit of ${maxIterations} iterations reached, declining ${functionCalls.length} pending call(s).`
+      );
+      const refusals = functionCalls.map((functionCall) => ({
+        functionResponse: {
+          name: functionCall.name,
+          response: {
+            content:
+              "Error: Tool call limit reached for this request. Do not call any more tools; tell the user what was completed so far.",
+          },
+        },
+      }));
+      const finalResult = await send(refusals);
+      return {
+        text: getText(finalResult.response),
+        trace,
+        response: finalResult.response,
+        limitReached: true,
+      };
+    }
+
+    // Calls run one after another: later writes may depend on earlier ones.
+    const toolResponses = [];
+    for (const functionCall of functionCalls) {
+      const toolResponse = await callTool(functionCall);
+      trace.push({
+        iteration,
+        name: functionCall.name,
+        args: functionCall.args || {},
+      });
+      toolResponses.push(toolResponse);
+    }
+
+    result = await send(toolResponses);
+  }
+}
+
+function formatTrace(trace) {
+  if (trace.length === 0) {
+    return "no tools called";
+  }
+  return trace
+    .map(
+      (step) => `#${step.iteration} ${step.name}(${JSON.stringify(step.args)})`
+    )
+    .join(", ");
+}
+
+module.exports = {
+  DEFAULT_MAX_ITERATIONS,
+  runAgentTurn,
+  formatTrace,
+  getText,
+  getFunctionCalls,
+};
@@ -0,0 +1,186 @@
+// --- Google API Calls ---
+// Every request to a Google API (Sheets, Vertex AI) goes through an
+// ApiCaller for that API, which limits how many run at once and retries
+// transient failures: 429 rate limits, 5xx errors and dropped connections.
+// Retries back off exponentially with jitter, or wait as long as the
+// response's Retry-After header asks. A 429 also holds back every other
+// queued call to the same API until the quota has had time to recover.
+// Only idempotent operations are retried: repeating an append or a row
+// delete that did reach the server would apply it twice.
+
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+  "ENETUNREACH",
+];
+
+// Shown to users when a request still fails after the retries.
+const TRY_AGAIN_LATER_MESSAGE =
+  "Google's services are busy or unreachable right now. Please try again in a few minutes.";
+
+const DEFAULT_OPTIONS = {
+  maxConcurrent: 4,
+  maxRetries: 4,
+  baseDelayMs: 500,
+  maxDelayMs: 30 * 1000, // Longer Retry-After values fail right away
+};
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// HTTP status of a failed request. googleapis errors carry the response;
+// Vertex AI errors only mention it in the message ("got status: 429 ...").
+function errorStatus(err) {
+  const status = err.response?.status ?? err.cause?.code ?? err.code;
+  if (Number.isInteger(status)) {
+    return status;
+  }
+  const match = /got status: (\d{3})/.exec(err.message || "");
+  return match ? Number(match[1]) : null;
+}
+
+function isTransientError(err) {
+  if (!err) {
+    return false;
+  }
+  if (err.transient) {
+    return true;
+  }
+  const status = errorStatus(err);
+  if (status !== null) {
+    return TRANSIENT_STATUSES.includes(status);
+  }
+  const code = err.cause?.code || err.code;
+  return TRANSIENT_NETWORK_CODES.includes(code);
+}
+
+// Retry-After holds either seconds or an HTTP date.
+function retryAfterMs(err, now = Date.now()) {
+  const headers = err.response?.headers;
+  if (!headers) {
+    return null;
+  }
+  const value =
+    typeof headers.get === "function"
+      ? headers.get("retry-after")
+      : headers["retry-after"];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+class ApiCaller {
+  // options: see DEFAULT_OPTIONS
+  constructor(name, options = {}) {
+    this.name = name;
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+  }
+
+  async acquire() {
+    if (this.active < this.options.maxConcurrent) {
+      this.active++;
+      return;
+    }
+    // release() hands its slot straight to the next caller in line
+    await new Promise((resolve) => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  async waitForQuota() {
+    while (this.pausedUntil > Date.now()) {
+      await sleep(this.pausedUntil - Date.now());
+    }
+  }
+
+  // How long to wait before retrying after `err`, or null to give up.
+  retryDelay(err, attempt, idempotent) {
+    const delay =
+      retryAfterMs(err) ??
+      Math.random() *
+        Math.min(
+          this.options.maxDelayMs,
+          this.options.baseDelayMs * 2 ** attempt
+        );
+    // Other calls are held back no longer than a retry would wait, so a
+    // long Retry-After fails them with the rest instead of hanging them
+    if (errorStatus(err) === 429) {
+      this.pausedUntil = Math.max(
+        this.pausedUntil,
+        Date.now() + Math.min(delay, this.options.maxDelayMs)
+      );
+    }
+    if (
+      !idempotent ||
+      attempt >= this.options.maxRetries ||
+      delay > this.options.maxDelayMs
+    ) {
+      return null;
+    }
+    return delay;
+  }
+
+  // Resolves to what `fn` resolves to. `operation` names the request in
+  // logs. options: { idempotent } - false for requests that must not be
+  // repeated (default true)
+  async call(operation, fn, options = {}) {
+    const idempotent = options.idempotent !== false;
+    for (let attempt = 0; ; attempt++) {
+      await this.waitForQuota();
+      await this.acquire();
+      let delay;
+      try {
+        return await fn();
+      } catch (err) {
+        if (!isTransientError(err)) {
+          throw err;
+        }
+        delay = this.retryDelay(err, attempt, idempotent);
+        if (delay === null) {
+          console.error(
+            `${this.name} ${operation} failed after ${attempt + 1} attempt(s):`,
+            err.message
+          );
+          err.transient = true;
+          throw err;
+        }
+        console.warn(
+          `${this.name} ${operation} failed (${
+            errorStatus(err) || err.code || err.message
+          }), retrying in ${Math.round(delay)} ms.`
+        );
+      } finally {
+        this.release();
+      }
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = {
+  ApiCaller,
+  errorStatus,
+  isTransientError,
+  TRY_AGAIN_LATER_MESSAGE,
+};
@@ -0,0 +1,179 @@
+// --- Stock Movement Audit Log ---
+// Appends one row per inventory mutation to a dedicated worksheet so every
+// change can be traced back to who made it, through which tool, and why.
+// The worksheets of one spreadsheet share that log, so each entry names
+// the worksheet it changed and an AuditLog only reads its own worksheet's.
+
+const HISTORY_HEADERS = [
+  "Timestamp",
+  "User",
+  "Tool",
+  "Item",
+  "Old Values",
+  "New Values",
+  "Reason",
+  "Session",
+  "Before Image",
+  "Reverts",
+  "Transfer",
+  "Worksheet",
+];
+
+const DEFAULT_HISTORY_LIMIT = 10;
+
+// Tool name recorded for undo entries.
+const UNDO_TOOL = "undo";
+
+// Old/New Values hold JSON objects keyed by column header.
+function parseValues(text) {
+  if (!text) {
+    return {};
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    return { value: text };
+  }
+}
+
+function describeValues(values) {
+  const entries = Object.entries(values);
+  if (entries.length === 0) {
+    return "(none)";
+  }
+  return entries.map(([header, value]) => `${header}: ${value}`).join(", ");
+}
+
+function entryToRow(entry) {
+  return [
+    entry.timestamp,
+    entry.actor || "unknown",
+    entry.tool || "unknown",
+    entry.item,
+    JSON.stringify(entry.oldValues || {}),
+    JSON.stringify(entry.newValues || {}),
+    entry.reason || "",
+    entry.session || "",
+    JSON.stringify(entry.beforeImage || {}),
+    entry.reverts || "",
+    entry.transfer || "",
+    entry.worksheet || "",
+  ];
+}
+
+class AuditLog {
+  // `worksheetName` is the inventory worksheet logged; null reads every
+  // entry.
+  constructor(repository, worksheetName = null) {
+    this.repository = repository;
+    this.worksheetName = worksheetName;
+  }
+
+  // Creates the worksheet and its header row when missing, and adds header
+  // cells introduced since the worksheet was created.
+  async init() {
+    await this.repository.ensureWorksheet();
+    const rows = await this.repository.readRows();
+    if (rows.length === 0) {
+      await this.repository.appendRow(HISTORY_HEADERS);
+    } else if (rows[0].length < HISTORY_HEADERS.length) {
+      await this.repository.updateCells(
+        HISTORY_HEADERS.slice(rows[0].length).map((header, offset) => ({
+          rowNumber: 1,
+          columnIndex: rows[0].length + offset,
+          value: header,
+        }))
+      );
+    }
+    console.log(`Recording changes to '${this.repository.worksheetName}'.`);
+  }
+
+  // entry: { timestamp, actor, session, tool, item, oldValues, newValues,
+  //          reason, beforeImage, reverts, transfer }
+  // `session` is the chat or CLI session the change came from, `beforeImage`
+  // the whole item row before the change, `reverts` the history row
+  // number an undo entry reverted and `transfer` the id shared by the two
+  // entries of a stock transfer, which are undone together.
+  async record(entry) {
+    await this.recordMany([entry]);
+  }
+
+  // Several entries in one append, e.g. for a bulk import.
+  async recordMany(entries) {
+    await this.repository.appendRows(
+      entries.map((entry) =>
+        entryToRow({ ...entry, worksheet: this.worksheetName })
+      )
+    );
+  }
+
+  // Entries of this log's worksheet. Those written before entries named
+  // their worksheet count for every worksheet.
+  async readEntries() {
+    const rows = await this.repository.readRows();
+    const entries = rows.slice(1).map((row, index) => ({
+      rowNumber: index + 2, // Sheet row, after the header
+      timestamp: row[0] || "",
+      actor: row[1] || "",
+      tool: row[2] || "",
+      item: row[3] || "",
+      oldValues: parseValues(row[4]),
+      newValues: parseValues(row[5]),
+      reason: row[6] || "",
+      session: row[7] || "",
+      beforeImage: parseValues(row[8]),
+      reverts: row[9] ? Number(row[9]) : null,
+      transfer: row[10] || "",
+      worksheet: row[11] || "",
+    }));
+    return entries.filter(
+      (entry) =>
+        !this.worksheetName ||
+        !entry.worksheet ||
+        entry.worksheet === this.worksheetName
+    );
+  }
+
+  // Changes from one session that can still be undone, newest first. Undo
+  // entries themselves and entries already reverted are skipped.
+  async getUndoableEntries(session) {
+    const entries = await this.readEntries();
+    const reverted = new Set(
+      entries.filter((entry) => entry.reverts).map((entry) => entry.reverts)
+    );
+    return entries
+      .filter(
+        (entry) =>
+          entry.session === session &&
+          entry.tool !== UNDO_TOOL &&
+          !reverted.has(entry.rowNumber)
+      )
+      .reverse();
+  }
+
+  // Most recent entries for one item, newest first.
+  async getItemHistory(itemName, limit = DEFAULT_HISTORY_LIMIT) {
+    const entries = await this.readEntries();
+    return entries
+      .filter((entry) => entry.item.toLowerCase() === itemName.toLowerCase())
+      .reverse()
+      .slice(0, limit);
+  }
+}
+
+function formatHistoryEntry(entry) {
+  const reason = entry.reason ? ` (reason: ${entry.reason})` : "";
+  return `- ${entry.timestamp} by ${entry.actor} via ${
+    entry.tool
+  }: ${describeValues(entry.oldValues)} -> ${describeValues(
+    entry.newValues
+  )}${reason}`;
+}
+
+module.exports = {
+  AuditLog,
+  HISTORY_HEADERS,
+  DEFAULT_HISTORY_LIMIT,
+  UNDO_TOOL,
+  formatHistoryEntry,
+};
@@ -0,0 +1,373 @@
+const ExcelJS = require("exceljs");
+const { parseCsv } = require("./csv");
+const { normalizeItemName } = require("./itemNames");
+const {
+  COLUMNS,
+  MANAGED_COLUMNS,
+  isNumericColumn,
+  rowToItem,
+} = require("./inventorySchema");
+
+// --- Bulk Import ---
+// Turns a CSV or XLSX file into inventory changes. The file's header row is
+// mapped onto the sheet's headers, every data row is validated on its own,
+// and the result is planned against the current sheet: names not in the
+// sheet become new items, known names (compared as in ./itemNames) receive
+// the file's quantity on top of their stock (a delivery) and take any other
+// values given.
+
+const IMPORT_FORMATS = ["csv", "xlsx"];
+
+// File headers accepted for a sheet column when no header matches exactly.
+const HEADER_ALIASES = {
+  [COLUMNS.NAME]: ["item", "itemname", "product", "productname"],
+  [COLUMNS.QUANTITY]: ["qty", "count", "units", "stock"],
+  [COLUMNS.PRICE]: ["unitprice", "cost", "unitcost"],
+};
+
+const MAX_PREVIEW_LINES = 30;
+
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+// "csv", "xlsx" or null, from the file name or MIME type.
+function detectImportFormat(fileName, mimeType) {
+  const extension = (fileName || "").split(".").pop().toLowerCase();
+  if (IMPORT_FORMATS.includes(extension)) {
+    return extension;
+  }
+  if (mimeType === "text/csv") {
+    return "csv";
+  }
+  if (
+    mimeType ===
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  ) {
+    return "xlsx";
+  }
+  return null;
+}
+
+function cellToText(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+  if (typeof value === "object") {
+    // Formulas, rich text and hyperlinks
+    if (value.result !== undefined) {
+      return cellToText(value.result);
+    }
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    return String(value.text || "");
+  }
+  return String(value);
+}
+
+// Rows of the file (first worksheet for XLSX) as arrays of strings.
+async function readImportFile(buffer, format) {
+  if (format === "csv") {
+    return parseCsv(buffer.toString("utf8"));
+  }
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const worksheet = workbook.worksheets[0];
+  const rows = [];
+  if (worksheet) {
+    worksheet.eachRow((row) => {
+      // row.values is 1-indexed
+      const values = row.values.slice(1);
+      const cells = Array.from(values, (value) => cellToText(value));
+      if (cells.some((cell) => cell.trim() !== "")) {
+        rows.push(cells);
+      }
+    });
+  }
+  return rows;
+}
+
+// Sheet header for each file column, or null for columns that are ignored.
+function mapColumns(fileHeaders, sheetHeaders) {
+  const candidates = sheetHeaders.filter(
+    (header) => header.trim() !== "" && !MANAGED_COLUMNS.includes(header)
+  );
+  const used = new Set();
+  return fileHeaders.map((fileHeader) => {
+    const key = normalizeHeader(fileHeader);
+    const header =
+      candidates.find((sheetHeader) => normalizeHeader(sheetHeader) === key) ||
+      candidates.find((sheetHeader) =>
+        (HEADER_ALIASES[sheetHeader] || []).includes(key)
+      );
+    if (!header || used.has(header)) {
+      return null;
+    }
+    used.add(header);
+    return header;
+  });
+}
+
+// "19,99" is accepted as 19.99 for files from comma-decimal locales.
+function parseNumber(text) {
+  const value = Number(text.replace(/^(\d+),(\d+)$/, "$1.$2"));
+  return text !== "" && Number.isFinite(value) ? value : null;
+}
+
+// Validates the file rows. Returns { records, errors, ignoredColumns,
+// error }: records are [{ line, fields }] with values keyed by sheet
+// header, errors are [{ line, message }] and `error` is set when the file
+// cannot be imported at all.
+function toImportRecords(rows, sheetHeaders) {
+  if (rows.length < 2) {
+    return { error: "The file needs a header row and at least one item." };
+  }
+  const columns = mapColumns(rows[0], sheetHeaders);
+  const missing = [COLUMNS.NAME, COLUMNS.QUANTITY].filter(
+    (header) => !columns.includes(header)
+  );
+  if (missing.length > 0) {
+    return {
+      error: `The file has no ${missing.join(
+        " or "
+      )} column. Its columns are: ${rows[0].join(", ")}.`,
+    };
+  }
+
+  const records = [];
+  const errors = [];
+  rows.slice(1).forEach((row, index) => {
+    const line = index + 2; // The header is line 1
+    const fields = {};
+    const problems = [];
+    columns.forEach((header, column) => {
+      const text = (row[column] || "").trim();
+      if (!header || text === "") {
+        return;
+      }
+      if (isNumericColumn(header)) {
+        const value = parseNumber(text);
+        if (value === null || value < 0) {
+          problems.push(`${header} '${text}' is not a non-negative number`);
+          return;
+        }
+        fields[header] = value;
+      } else {
+        fields[header] = text;
+      }
+    });
+    if (!fields[COLUMNS.NAME]) {
+      problems.push("the name is empty");
+    }
+    if (fields[COLUMNS.QUANTITY] === undefined && problems.length === 0) {
+      problems.push("the quantity is empty");
+    }
+    if (problems.length > 0) {
+      errors.push({ line, message: problems.join("; ") });
+    } else {
+      records.push({ line, fields });
+    }
+  });
+
+  return {
+    records,
+    errors,
+    ignoredColumns: rows[0].filter(
+      (fileHeader, column) => !columns[column] && fileHeader.trim() !== ""
+    ),
+  };
+}
+
+// Import lines and sheet rows are matched on the item name, plus the
+// location when the line has one (the same item may have a row per
+// location). A line without a location matches the item's row, and is an
+// error when the item has rows at several locations.
+function importKey(name, location) {
+  const key = normalizeItemName(name);
+  return location ? `${key}@${location.trim().toLowerCase()}` : key;
+}
+
+// Plans records against the sheet rows (header row first). Returns
+// { newItems: [{ line, name, fields }],
+//   updates: [{ line, name, rowNumber, item, changes }],
+//   errors: [{ line, message }] }
+function planImport(records, sheetRows) {
+  const headers = sheetRows[0];
+  const nameIndex = headers.indexOf(COLUMNS.NAME);
+  const locationIndex = headers.indexOf(COLUMNS.LOCATION);
+  const existing = new Map();
+  const locations = new Map(); // name key -> { lower-cased: as written }
+  sheetRows.slice(1).forEach((row, index) => {
+    if (!row[nameIndex]) {
+      return;
+    }
+    const keys = [importKey(row[nameIndex])];
+    if (locationIndex !== -1 && row[locationIndex]) {
+      keys.push(importKey(row[nameIndex], row[locationIndex]));
+      const stocked = locations.get(keys[0]) || {};
+      stocked[row[locationIndex].trim().toLowerCase()] =
+        row[locationIndex].trim();
+      locations.set(keys[0], stocked);
+    }
+    keys
+      .filter((key) => !existing.has(key))
+      .forEach((key) => existing.set(key, { rowNumber: index + 2, row }));
+  });
+
+  const plan = { newItems: [], updates: [], errors: [] };
+  const seen = new Map();
+  records.forEach(({ line, fields }) => {
+    const name = fields[COLUMNS.NAME];
+    const key = importKey(
+      name,
+      locationIndex === -1 ? null : fields[COLUMNS.LOCATION]
+    );
+    if (seen.has(key)) {
+      plan.errors.push({
+        line,
+        message: `'${name}' already appears on line ${seen.get(key)}`,
+      });
+      return;
+    }
+    seen.set(key, line);
+
+    const stocked = Object.values(locations.get(key) || {});
+    if (stocked.length > 1) {
+      plan.errors.push({
+        line,
+        message: `'${name}' is stocked at several locations (${stocked.join(
+          ", "
+        )}); add a Location value`,
+      });
+      return;
+    }
+
+    const match = existing.get(key);
+    if (!match) {
+      if (
+        headers.includes(COLUMNS.PRICE) &&
+        fields[COLUMNS.PRICE] === undefined
+      ) {
+        plan.errors.push({ line, message: `new item '${name}' needs a price` });
+        return;
+      }
+      plan.newItems.push({ line, name, fields });
+      return;
+    }
+
+    const item = rowToItem(headers, match.row);
+    const current = Number(item[COLUMNS.QUANTITY] || 0);
+    if (!Number.isFinite(current)) {
+      plan.errors.push({
+        line,
+        message: `the sheet's quantity of '${
+          item[COLUMNS.NAME]
+        }' is not a number`,
+      });
+      return;
+    }
+    const changes = {};
+    Object.entries(fields).forEach(([header, value]) => {
+      if (header === COLUMNS.NAME) {
+        return;
+      }
+      const newValue = header === COLUMNS.QUANTITY ? current + value : value;
+      if (String(item[header]) !== String(newValue)) {
+        changes[header] = newValue;
+      }
+    });
+    plan.updates.push({
+      line,
+      name: item[COLUMNS.NAME],
+      rowNumber: match.rowNumber,
+      item,
+      changes,
+    });
+  });
+  plan.updates = plan.updates.filter(
+    (update) => Object.keys(update.changes).length > 0
+  );
+  return plan;
+}
+
+function limitLines(lines, max = MAX_PREVIEW_LINES) {
+  if (lines.length <= max) {
+    return lines;
+  }
+  return [...lines.slice(0, max), `  ...and ${lines.length - max} more`];
+}
+
+function describeChanges(update) {
+  return Object.entries(update.changes)
+    .map(([header, value]) =>
+      header === COLUMNS.QUANTITY
+        ? `${update.item[header] || 0} → ${value}`
+        : `${header} ${update.item[header] || "(empty)"} → ${value}`
+    )
+    .join(", ");
+}
+
+// Preview shown before an import is confirmed. The last line summarises
+// what confirming will do.
+function formatImportPreview(plan, fileErrors = [], ignoredColumns = []) {
+  const lines = [];
+  if (plan.newItems.length > 0) {
+    lines.push(`New items (${plan.newItems.length}):`);
+    lines.push(
+      ...limitLines(
+        plan.newItems.map(
+          (entry) =>
+            `  ${entry.name}: ${entry.fields[COLUMNS.QUANTITY]}${
+              entry.fields[COLUMNS.PRICE] !== undefined
+                ? ` at $${entry.fields[COLUMNS.PRICE]}`
+                : ""
+            }`
+        )
+      )
+    );
+  }
+  if (plan.updates.length > 0) {
+    lines.push(`Updates to existing items (${plan.updates.length}):`);
+    lines.push(
+      ...limitLines(
+        plan.updates.map(
+          (update) => `  ${update.name}: ${describeChanges(update)}`
+        )
+      )
+    );
+  }
+  const errors = [...fileErrors, ...plan.errors].sort(
+    (a, b) => a.line - b.line
+  );
+  if (errors.length > 0) {
+    lines.push(`Skipped lines (${errors.length}):`);
+    lines.push(
+      ...limitLines(
+        errors.map((error) => `  Line ${error.line}: ${error.message}`)
+      )
+    );
+  }
+  if (ignoredColumns.length > 0) {
+    lines.push(`Ignored columns: ${ignoredColumns.join(", ")}`);
+  }
+  lines.push(
+    `Import ${plan.newItems.length} new item(s) and update ${plan.updates.length} item(s)`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  IMPORT_FORMATS,
+  detectImportFormat,
+  readImportFile,
+  mapColumns,
+  toImportRecords,
+  planImport,
+  formatImportPreview,
+};
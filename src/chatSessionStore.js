@@ -0,0 +1,114 @@
+const fs = require("fs");
+
+// --- Chat Session Store ---
+// Gemini conversation history per chat, kept in a JSON file so chats survive
+// a restart (rehydrated with `model.startChat({ history })`). Histories are
+// trimmed to the most recent messages and forgotten after a period of
+// inactivity, so a long-running chat does not resend an ever-growing history.
+
+const DEFAULT_MAX_HISTORY_MESSAGES = 40;
+const DEFAULT_IDLE_TIMEOUT_MS = 24 * 60 * 60 * 1000;
+
+// A history may only start at a user message with text: starting at a
+// function call or function response would leave Gemini an orphaned half of
+// a tool round-trip.
+function isTurnStart(content) {
+  return (
+    content.role === "user" &&
+    content.parts.some((part) => typeof part.text === "string")
+  );
+}
+
+// Keeps at most `maxMessages` of the newest contents, dropping whole turns.
+function trimHistory(history, maxMessages) {
+  if (history.length <= maxMessages) {
+    return history;
+  }
+  let start = history.length - maxMessages;
+  while (start < history.length && !isTurnStart(history[start])) {
+    start++;
+  }
+  return history.slice(start);
+}
+
+class ChatSessionStore {
+  // options: { maxHistoryMessages, idleTimeoutMs }
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.maxHistoryMessages =
+      options.maxHistoryMessages || DEFAULT_MAX_HISTORY_MESSAGES;
+    this.idleTimeoutMs = options.idleTimeoutMs || DEFAULT_IDLE_TIMEOUT_MS;
+    this.sessions = this.load();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8")).sessions || {};
+  }
+
+  save() {
+    if (this.filePath) {
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ sessions: this.sessions }, null, 2)
+      );
+    }
+  }
+
+  isExpired(session, now = Date.now()) {
+    return now - Date.parse(session.updatedAt) > this.idleTimeoutMs;
+  }
+
+  // History to continue the chat with; empty for a new or expired chat.
+  getHistory(chatId) {
+    const session = this.sessions[String(chatId)];
+    if (!session) {
+      return [];
+    }
+    if (this.isExpired(session)) {
+      this.reset(chatId);
+      return [];
+    }
+    return session.history;
+  }
+
+  setHistory(chatId, history) {
+    this.sessions[String(chatId)] = {
+      history: trimHistory(history, this.maxHistoryMessages),
+      updatedAt: new Date().toISOString(),
+    };
+    this.save();
+  }
+
+  // Returns false when there was no conversation to forget.
+  reset(chatId) {
+    if (!this.sessions[String(chatId)]) {
+      return false;
+    }
+    delete this.sessions[String(chatId)];
+    this.save();
+    return true;
+  }
+
+  // Forgets every idle chat. Returns how many were removed.
+  pruneExpired() {
+    const now = Date.now();
+    const expired = Object.keys(this.sessions).filter((chatId) =>
+      this.isExpired(this.sessions[chatId], now)
+    );
+    expired.forEach((chatId) => delete this.sessions[chatId]);
+    if (expired.length > 0) {
+      this.save();
+    }
+    return expired.length;
+  }
+}
+
+module.exports = {
+  ChatSessionStore,
+  trimHistory,
+  DEFAULT_MAX_HISTORY_MESSAGES,
+  DEFAULT_IDLE_TIMEOUT_MS,
+};
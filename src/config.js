@@ -0,0 +1,362 @@
+const fs = require("fs");
+const path = require("path");
+const { BACKENDS } = require("./repositories");
+
+// --- Configuration ---
+// Settings shared by the Telegram bot (index.js), the CLI
+// (gemini_sheets_api.js) and sheetsAPI.js. Each setting is taken from its
+// environment variable, else from the optional JSON config file (CONFIG_FILE,
+// by default config.json in the project folder, see config.example.json),
+// else from DEFAULTS. Relative paths in the file are relative to the file.
+//
+// Several spreadsheets, one per shop, can be listed by name under
+// "spreadsheets". SPREADSHEET_ID, WORKSHEET_NAME and HISTORY_WORKSHEET_NAME
+// describe the default one, which DEFAULT_SPREADSHEET picks by name.
+
+const ROOT_DIR = path.join(__dirname, "..");
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, "config.json");
+
+const DEFAULTS = {
+  location: "asia-south1",
+  model: "gemini-1.5-flash",
+  serviceAccountFile: path.join(ROOT_DIR, "credentials.json"),
+  backend: "sheets",
+  localInventoryFile: path.join(ROOT_DIR, "inventory.local.json"),
+  worksheetName: "Sheet1",
+  historyWorksheetName: "History", // Audit log of every change
+};
+
+// Environment variable -> config file key
+const ENV_SETTINGS = {
+  TELEGRAM_BOT_TOKEN: "telegramToken",
+  TELEGRAM_ADMIN_IDS: "adminIds", // Comma separated user ids
+  GOOGLE_CLOUD_PROJECT: "projectId",
+  VERTEX_LOCATION: "location",
+  GEMINI_MODEL: "model",
+  GOOGLE_APPLICATION_CREDENTIALS: "serviceAccountFile",
+  INVENTORY_BACKEND: "backend", // "sheets", or "local" to run offline
+  LOCAL_INVENTORY_FILE: "localInventoryFile",
+  DEFAULT_SPREADSHEET: "defaultSpreadsheet",
+};
+const ENV_SPREADSHEET_SETTINGS = {
+  SPREADSHEET_ID: "spreadsheetId",
+  WORKSHEET_NAME: "worksheetName",
+  HISTORY_WORKSHEET_NAME: "historyWorksheetName",
+};
+const FILE_KEYS = [...Object.values(ENV_SETTINGS), "spreadsheets"];
+// localFile: the JSON file used for this spreadsheet by the local backend
+const SPREADSHEET_KEYS = [
+  ...Object.values(ENV_SPREADSHEET_SETTINGS),
+  "localFile",
+];
+const PATH_KEYS = ["serviceAccountFile", "localInventoryFile", "localFile"];
+
+const DEFAULT_SPREADSHEET_NAME = "default";
+const SPREADSHEET_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+// The part of the spreadsheet URL after /d/
+const SPREADSHEET_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+function readConfigFile(configFile, required, problems) {
+  if (!fs.existsSync(configFile)) {
+    if (required) {
+      problems.push(`Config file ${configFile} does not exist.`);
+    }
+    return {};
+  }
+  try {
+    const settings = JSON.parse(fs.readFileSync(configFile, "utf8"));
+    if (!settings || typeof settings !== "object" || Array.isArray(settings)) {
+      problems.push(`Config file ${configFile} must hold a JSON object.`);
+      return {};
+    }
+    return settings;
+  } catch (err) {
+    problems.push(
+      `Config file ${configFile} is not valid JSON: ${err.message}`
+    );
+    return {};
+  }
+}
+
+// Settings from the file, with unknown keys reported and paths resolved.
+function fileSettings(configFile, required, problems) {
+  const settings = readConfigFile(configFile, required, problems);
+  const baseDir = path.dirname(configFile);
+  const resolvePaths = (entry) => {
+    PATH_KEYS.forEach((key) => {
+      if (typeof entry[key] === "string") {
+        entry[key] = path.resolve(baseDir, entry[key]);
+      }
+    });
+  };
+
+  Object.keys(settings)
+    .filter((key) => !FILE_KEYS.includes(key))
+    .forEach((key) =>
+      problems.push(
+        `Unknown setting '${key}' in ${configFile}. Known settings: ${FILE_KEYS.join(
+          ", "
+        )}.`
+      )
+    );
+  resolvePaths(settings);
+
+  const spreadsheets = {};
+  if (settings.spreadsheets !== undefined) {
+    if (
+      !settings.spreadsheets ||
+      typeof settings.spreadsheets !== "object" ||
+      Array.isArray(settings.spreadsheets)
+    ) {
+      problems.push(
+        `'spreadsheets' in ${configFile} must map names to spreadsheets.`
+      );
+    } else {
+      Object.entries(settings.spreadsheets).forEach(([name, entry]) => {
+        Object.keys(entry || {})
+          .filter((key) => !SPREADSHEET_KEYS.includes(key))
+          .forEach((key) =>
+            problems.push(
+              `Unknown setting '${key}' for spreadsheet '${name}' in ${configFile}. Known settings: ${SPREADSHEET_KEYS.join(
+                ", "
+              )}.`
+            )
+          );
+        spreadsheets[name] = { ...entry };
+        resolvePaths(spreadsheets[name]);
+      });
+    }
+  }
+  return { ...settings, spreadsheets };
+}
+
+function envSettings(env) {
+  const settings = {};
+  Object.entries(ENV_SETTINGS).forEach(([variable, key]) => {
+    if (env[variable] !== undefined && env[variable] !== "") {
+      settings[key] = PATH_KEYS.includes(key)
+        ? path.resolve(env[variable])
+        : env[variable];
+    }
+  });
+  const spreadsheet = {};
+  Object.entries(ENV_SPREADSHEET_SETTINGS).forEach(([variable, key]) => {
+    if (env[variable] !== undefined && env[variable] !== "") {
+      spreadsheet[key] = env[variable];
+    }
+  });
+  return { settings, spreadsheet };
+}
+
+function parseAdminIds(value) {
+  if (value === undefined) {
+    return [];
+  }
+  const ids = Array.isArray(value) ? value : String(value).split(",");
+  return ids.map((id) => String(id).trim()).filter(Boolean);
+}
+
+// Checks the settings the caller needs (see loadConfig).
+function validate(config, needs, problems) {
+  if (!BACKENDS.includes(config.backend)) {
+    problems.push(
+      `Unknown inventory backend '${
+        config.backend
+      }' (INVENTORY_BACKEND). Use one of: ${BACKENDS.join(", ")}.`
+    );
+  }
+  config.adminIds
+    .filter((id) => !/^-?\d+$/.test(id))
+    .forEach((id) =>
+      problems.push(
+        `Telegram admin id '${id}' (TELEGRAM_ADMIN_IDS) is not a number.`
+      )
+    );
+
+  if (needs.includes("telegram") && !config.telegramToken) {
+    problems.push(
+      `No Telegram bot token. Set TELEGRAM_BOT_TOKEN or "telegramToken" in the config file${
+        fs.existsSync(path.join(ROOT_DIR, "telegram.js"))
+          ? " (telegram.js is no longer read)"
+          : ""
+      }.`
+    );
+  }
+
+  if (needs.includes("vertex")) {
+    if (!config.projectId) {
+      problems.push(
+        'No Google Cloud project for Vertex AI. Set GOOGLE_CLOUD_PROJECT or "projectId" in the config file.'
+      );
+    }
+    ["location", "model"].forEach((key) => {
+      if (!config[key]) {
+        problems.push(`"${key}" must not be empty.`);
+      }
+    });
+  }
+
+  if (needs.includes("sheets")) {
+    Object.entries(config.spreadsheets).forEach(([name, spreadsheet]) => {
+      if (!SPREADSHEET_NAME_PATTERN.test(name)) {
+        problems.push(
+          `Spreadsheet name '${name}' may only use letters, digits, '-' and '_'.`
+        );
+      }
+      if (
+        config.backend === "sheets" &&
+        !SPREADSHEET_ID_PATTERN.test(spreadsheet.spreadsheetId || "")
+      ) {
+        problems.push(
+          spreadsheet.spreadsheetId
+            ? `Spreadsheet '${name}' has an invalid id '${spreadsheet.spreadsheetId}': use the id from its URL, not the whole URL.`
+            : `Spreadsheet '${name}' has no id. Set SPREADSHEET_ID or "spreadsheets.${name}.spreadsheetId" in the config file.`
+        );
+      }
+      ["worksheetName", "historyWorksheetName"].forEach((key) => {
+        if (!spreadsheet[key]) {
+          problems.push(`Spreadsheet '${name}' has an empty "${key}".`);
+        }
+      });
+    });
+    if (!config.spreadsheets[config.defaultSpreadsheet]) {
+      problems.push(
+        `The default spreadsheet '${
+          config.defaultSpreadsheet
+        }' (DEFAULT_SPREADSHEET) is not configured. Configured: ${Object.keys(
+          config.spreadsheets
+        ).join(", ")}.`
+      );
+    }
+    if (
+      config.backend === "sheets" &&
+      !fs.existsSync(config.serviceAccountFile)
+    ) {
+      problems.push(
+        `Service account key ${config.serviceAccountFile} does not exist. Set GOOGLE_APPLICATION_CREDENTIALS or "serviceAccountFile" in the config file.`
+      );
+    }
+  }
+}
+
+// Loads and checks the configuration. options: { env, configFile, needs }
+// where `needs` lists the parts the caller uses: "telegram", "vertex"
+// and/or "sheets". Throws an error listing every problem found, so a bad
+// deployment fails at startup rather than on the first message.
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const needs = options.needs || [];
+  const problems = [];
+  const configFile = path.resolve(
+    options.configFile || env.CONFIG_FILE || DEFAULT_CONFIG_FILE
+  );
+  const file = fileSettings(
+    configFile,
+    Boolean(options.configFile || env.CONFIG_FILE),
+    problems
+  );
+  const fromEnv = envSettings(env);
+  const settings = { ...DEFAULTS, ...file, ...fromEnv.settings };
+
+  // Without a name, the default is the only or first listed spreadsheet
+  const defaultSpreadsheet =
+    settings.defaultSpreadsheet ||
+    Object.keys(file.spreadsheets)[0] ||
+    DEFAULT_SPREADSHEET_NAME;
+  const spreadsheets = { ...file.spreadsheets };
+  if (
+    Object.keys(fromEnv.spreadsheet).length > 0 ||
+    Object.keys(spreadsheets).length === 0
+  ) {
+    spreadsheets[defaultSpreadsheet] = {
+      ...spreadsheets[defaultSpreadsheet],
+      ...fromEnv.spreadsheet,
+    };
+  }
+  Object.entries(spreadsheets).forEach(([name, spreadsheet]) => {
+    spreadsheets[name] = {
+      name,
+      worksheetName: DEFAULTS.worksheetName,
+      historyWorksheetName: DEFAULTS.historyWorksheetName,
+      ...spreadsheet,
+      // Each shop has its own file when running offline
+      localFile:
+        spreadsheet.localFile ||
+        (name === defaultSpreadsheet
+          ? settings.localInventoryFile
+          : path.join(
+              path.dirname(settings.localInventoryFile),
+              `inventory.${name}.local.json`
+            )),
+    };
+  });
+
+  const config = {
+    configFile: fs.existsSync(configFile) ? configFile : null,
+    telegramToken: settings.telegramToken || null,
+    adminIds: parseAdminIds(settings.adminIds),
+    projectId: settings.projectId || null,
+    location: settings.location,
+    model: settings.model,
+    serviceAccountFile: settings.serviceAccountFile,
+    backend: settings.backend,
+    localInventoryFile: settings.localInventoryFile,
+    defaultSpreadsheet,
+    spreadsheets,
+  };
+  validate(config, needs, problems);
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid configuration:\n${problems
+        .map((problem) => `- ${problem}`)
+        .join("\n")}`
+    );
+  }
+  return config;
+}
+
+// The spreadsheet configured under `name` (the default one without a
+// name): { name, spreadsheetId, worksheetName, historyWorksheetName,
+// localFile }. Throws if there is none.
+function getSpreadsheet(config, name = config.defaultSpreadsheet) {
+  const spreadsheet = config.spreadsheets[name];
+  if (!spreadsheet) {
+    throw new Error(
+      `Unknown spreadsheet '${name}'. Configured: ${Object.keys(
+        config.spreadsheets
+      ).join(", ")}.`
+    );
+  }
+  return spreadsheet;
+}
+
+// A spreadsheet someone asked for at run time (see /connect): a configured
+// name, or a spreadsheet id or URL. `worksheetName` replaces the configured
+// worksheet. Returns null when `reference` is none of these.
+function resolveSpreadsheet(config, reference, worksheetName) {
+  const url = /\/spreadsheets\/d\/([A-Za-z0-9_-]+)/.exec(reference || "");
+  const spreadsheetId = url ? url[1] : reference;
+  const configured =
+    config.spreadsheets[reference] ||
+    Object.values(config.spreadsheets).find(
+      (spreadsheet) => spreadsheet.spreadsheetId === spreadsheetId
+    );
+  if (configured) {
+    return worksheetName ? { ...configured, worksheetName } : configured;
+  }
+  if (!SPREADSHEET_ID_PATTERN.test(spreadsheetId || "")) {
+    return null;
+  }
+  return {
+    name: null,
+    spreadsheetId,
+    worksheetName: worksheetName || DEFAULTS.worksheetName,
+    historyWorksheetName: DEFAULTS.historyWorksheetName,
+    localFile: path.join(
+      path.dirname(config.localInventoryFile),
+      `inventory.${spreadsheetId}.local.json`
+    ),
+  };
+}
+
+module.exports = { loadConfig, getSpreadsheet, resolveSpreadsheet, DEFAULTS };
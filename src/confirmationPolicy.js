@@ -0,0 +1,113 @@
+const { COLUMNS } = require("./inventorySchema");
+
+// --- Confirmation Policy ---
+// Flags tool calls that should not run before a human confirms them:
+// deletes, merges, price changes and quantity changes larger than the
+// configured thresholds. `review` returns a short preview such as
+// "Laptop: 12 → 800" for risky calls and null for everything else.
+
+const DEFAULT_THRESHOLDS = {
+  maxChangePercent: 200, // e.g. 12 -> 40 or more needs confirming
+  maxChangeAbsolute: 100, // e.g. any change of more than 100 units
+};
+
+class ConfirmationPolicy {
+  constructor(sheetsService, thresholds = {}) {
+    this.sheetsService = sheetsService;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  }
+
+  isLargeChange(oldQuantity, newQuantity) {
+    const change = Math.abs(newQuantity - oldQuantity);
+    if (change > this.thresholds.maxChangeAbsolute) {
+      return true;
+    }
+    return (
+      oldQuantity > 0 &&
+      (change / oldQuantity) * 100 > this.thresholds.maxChangePercent
+    );
+  }
+
+  quantityPreview(item, newQuantity) {
+    const oldQuantity = Number(item[COLUMNS.QUANTITY]) || 0;
+    if (!this.isLargeChange(oldQuantity, newQuantity)) {
+      return null;
+    }
+    const location = item[COLUMNS.LOCATION];
+    return `${item[COLUMNS.NAME]}${
+      location ? ` at ${location}` : ""
+    }: ${oldQuantity} → ${newQuantity}`;
+  }
+
+  async review(toolName, args) {
+    if (toolName === "findDuplicates" && args.merge) {
+      const groups = await this.sheetsService.findDuplicateGroups();
+      return groups.length > 0
+        ? `Merge ${groups
+            .map((group) =>
+              group.map(({ item }) => `'${item[COLUMNS.NAME]}'`).join(" + ")
+            )
+            .join(", ")}`
+        : null;
+    }
+    if (!args.itemName) {
+      return null;
+    }
+    if (toolName === "addRow") {
+      // Only adding to an item that already exists can be a large change
+      const existing =
+        args.mode === "increment" &&
+        (await this.sheetsService.findMatchingItem(
+          args.itemName,
+          args.location
+        ));
+      return existing
+        ? this.quantityPreview(
+            existing,
+            (Number(existing[COLUMNS.QUANTITY]) || 0) + args.quantity
+          )
+        : null;
+    }
+    const item = await this.sheetsService.findItem(
+      args.itemName,
+      args.location
+    );
+    if (!item) {
+      return null; // The tool itself reports the missing item
+    }
+    const name = item[COLUMNS.NAME];
+    const quantity = Number(item[COLUMNS.QUANTITY]) || 0;
+
+    switch (toolName) {
+      case "deleteItem":
+        return `Delete '${name}' (quantity ${quantity}) from the inventory`;
+      case "updateItemQuantity":
+        return this.quantityPreview(item, args.newQuantity);
+      case "receiveStock":
+        return this.quantityPreview(item, quantity + args.quantity);
+      case "consumeStock":
+        return this.quantityPreview(item, quantity - args.quantity);
+      case "adjustQuantity":
+        return this.quantityPreview(item, quantity + args.delta);
+      case "updateItem": {
+        const previews = [];
+        if (args.price !== undefined) {
+          previews.push(
+            `${name} price: ${item[COLUMNS.PRICE]} → ${args.price}`
+          );
+        }
+        if (args.quantity !== undefined) {
+          const preview = this.quantityPreview(item, args.quantity);
+          if (preview) {
+            previews.push(preview);
+          }
+        }
+        return previews.length > 0 ? previews.join(", ") : null;
+      }
+      default:
+        return null;
+    }
+  }
+}
+
+module.exports = { ConfirmationPolicy, DEFAULT_THRESHOLDS };
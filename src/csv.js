@@ -0,0 +1,73 @@
+// --- CSV ---
+// Minimal RFC 4180 reading and writing: quoted fields may contain the
+// delimiter, doubled quotes and line breaks. Spreadsheet apps in many
+// locales export with ";" instead of ",", so the delimiter is detected from
+// the first line when not given.
+
+function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const count = (char) => firstLine.split(char).length - 1;
+  return count(";") > count(",") ? ";" : ",";
+}
+
+// Returns an array of rows, each an array of strings. Blank lines are
+// dropped.
+function parseCsv(text, delimiter) {
+  const input = text.replace(/^\uFEFF/, ""); // Byte order mark from Excel
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  const endField = () => {
+    row.push(field);
+    field = "";
+  };
+  const endRow = () => {
+    endField();
+    if (row.some((value) => value.trim() !== "")) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === separator) {
+      endField();
+    } else if (char === "\n") {
+      endRow();
+    } else if (char !== "\r") {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+function formatCsvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(rows) {
+  return `${rows
+    .map((row) => row.map(formatCsvField).join(","))
+    .join("\r\n")}\r\n`;
+}
+
+module.exports = { parseCsv, formatCsv };
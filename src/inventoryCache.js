@@ -0,0 +1,111 @@
+const { COLUMNS } = require("./inventorySchema");
+const { normalizeItemName } = require("./itemNames");
+
+// --- Inventory Cache ---
+// A snapshot of the inventory worksheet, reused for `ttlMs` so that a busy
+// chat does not download the whole sheet for every question. SheetsService
+// patches the snapshot with its own writes and drops it when a row turns
+// out to have changed in the sheet. Other edits made directly in the sheet
+// show up once the snapshot expires, or straight away after refresh().
+
+const DEFAULT_CACHE_TTL_MS = 10 * 1000;
+
+class InventoryCache {
+  constructor(repository, ttlMs = DEFAULT_CACHE_TTL_MS) {
+    this.repository = repository;
+    this.ttlMs = ttlMs;
+    this.rows = null;
+    this.fetchedAt = 0;
+    this.indexes = new WeakMap();
+  }
+
+  // All rows, header row first, as repository.readRows() returns them.
+  // `fresh` skips the snapshot. The rows are shared: record changes with
+  // the apply* methods rather than editing them.
+  async getRows(options = {}) {
+    if (
+      options.fresh ||
+      !this.rows ||
+      Date.now() - this.fetchedAt >= this.ttlMs
+    ) {
+      this.rows = (await this.repository.readRows()) || [];
+      this.fetchedAt = Date.now();
+    }
+    return this.rows;
+  }
+
+  invalidate() {
+    this.rows = null;
+  }
+
+  // Name lookups for `rows`, built once per snapshot: `exact` maps the
+  // lower-cased name and `normalized` the normalizeItemName form to the
+  // numbers of the rows with that name, in sheet order. A name has several
+  // rows when it is stocked at several locations (or is listed twice).
+  index(rows) {
+    if (!this.indexes.has(rows)) {
+      const exact = new Map();
+      const normalized = new Map();
+      const add = (map, key, rowNumber) => {
+        if (!map.has(key)) {
+          map.set(key, []);
+        }
+        map.get(key).push(rowNumber);
+      };
+      const nameIndex = rows.length > 0 ? rows[0].indexOf(COLUMNS.NAME) : -1;
+      rows.slice(1).forEach((row, i) => {
+        const name = nameIndex === -1 ? "" : row[nameIndex];
+        if (name) {
+          add(exact, name.toLowerCase(), i + 2);
+          add(normalized, normalizeItemName(name), i + 2);
+        }
+      });
+      this.indexes.set(rows, { exact, normalized });
+    }
+    return this.indexes.get(rows);
+  }
+
+  // The apply* methods mirror a write that reached the sheet. Each builds a
+  // new snapshot, so rows handed out earlier keep their values.
+
+  // updates: [{ rowNumber, columnIndex, value }] as for updateCells
+  applyUpdates(updates) {
+    if (!this.rows) {
+      return;
+    }
+    const rows = [...this.rows];
+    const copied = new Set();
+    updates.forEach(({ rowNumber, columnIndex, value }) => {
+      while (rows.length < rowNumber) {
+        rows.push([]);
+      }
+      if (!copied.has(rowNumber)) {
+        rows[rowNumber - 1] = [...rows[rowNumber - 1]];
+        copied.add(rowNumber);
+      }
+      const row = rows[rowNumber - 1];
+      while (row.length <= columnIndex) {
+        row.push("");
+      }
+      row[columnIndex] = String(value);
+    });
+    this.rows = rows;
+  }
+
+  applyAppend(newRows) {
+    if (this.rows) {
+      this.rows = [
+        ...this.rows,
+        ...newRows.map((row) => row.map((value) => String(value))),
+      ];
+    }
+  }
+
+  applyDelete(rowNumber) {
+    if (this.rows) {
+      this.rows = this.rows.filter((row, i) => i !== rowNumber - 1);
+    }
+  }
+}
+
+module.exports = { InventoryCache, DEFAULT_CACHE_TTL_MS };
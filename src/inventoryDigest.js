@@ -0,0 +1,279 @@
+const fs = require("fs");
+const { COLUMNS, combineLocations } = require("./inventorySchema");
+
+// --- Inventory Digest ---
+// Posts a daily or weekly summary to chats that asked for one: number of
+// items, total stock value, what changed since the previous digest and what
+// is running low. Schedules, the last period sent and the History row the
+// previous digest stopped at are stored in a JSON file, so a restart never
+// sends the same digest twice. Gemini is only used for an optional summary.
+
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MAX_CHANGED_ITEMS = 20;
+
+function isTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+// Wall-clock date ("2024-05-31"), time ("08:00") and weekday (0 = Sunday)
+// of `date` in `timeZone`.
+function localTime(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    weekday: "short",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`,
+    weekday: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+  };
+}
+
+// "daily 08:00 [Europe/Berlin]" or "weekly mon 08:00 [Europe/Berlin]".
+// Returns { schedule } or { error }.
+function parseSchedule(args, defaultTimeZone) {
+  const [frequency, ...rest] = args.map((arg) => arg.toLowerCase());
+  if (frequency !== "daily" && frequency !== "weekly") {
+    return { error: "Choose daily or weekly." };
+  }
+  const schedule = { frequency, weekday: null };
+  if (frequency === "weekly") {
+    schedule.weekday = WEEKDAYS.indexOf((rest.shift() || "").slice(0, 3));
+    if (schedule.weekday === -1) {
+      return { error: "Weekly digests need a day, e.g. mon." };
+    }
+  }
+  const time = (rest.shift() || "").match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!time) {
+    return { error: "Give the time as HH:MM, e.g. 08:00." };
+  }
+  schedule.time = `${time[1].padStart(2, "0")}:${time[2]}`;
+  if (rest.length > 1) {
+    return { error: "Too many arguments." };
+  }
+  // Time zone names are case sensitive, so take it from the original args
+  schedule.timeZone = args[args.length - rest.length] || defaultTimeZone;
+  if (!isTimeZone(schedule.timeZone)) {
+    return {
+      error: `Unknown time zone '${schedule.timeZone}'. Use a name like Europe/Berlin or UTC.`,
+    };
+  }
+  return { schedule };
+}
+
+function describeSchedule(schedule) {
+  const day =
+    schedule.frequency === "weekly" ? ` on ${WEEKDAYS[schedule.weekday]}` : "";
+  return `${schedule.frequency}${day} at ${schedule.time} (${schedule.timeZone})`;
+}
+
+function stockValue(items) {
+  return items.reduce((total, item) => {
+    const value = Number(item[COLUMNS.QUANTITY]) * Number(item[COLUMNS.PRICE]);
+    return Number.isFinite(value) ? total + value : total;
+  }, 0);
+}
+
+class DigestScheduler {
+  // options: { send(chatId, text), summarize(digestText), defaultTimeZone }
+  // `summarize` is optional and resolves to a paragraph put on top.
+  constructor(sheetsService, filePath, options) {
+    this.sheetsService = sheetsService;
+    this.filePath = filePath;
+    this.send = options.send;
+    this.summarize = options.summarize || null;
+    this.defaultTimeZone = options.defaultTimeZone || "UTC";
+    this.chats = this.load();
+    this.timer = null;
+    this.ticking = Promise.resolve();
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8")).chats || {};
+  }
+
+  save() {
+    if (this.filePath) {
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ chats: this.chats }, null, 2)
+      );
+    }
+  }
+
+  getSchedule(chatId) {
+    return this.chats[String(chatId)] || null;
+  }
+
+  // The first digest covers changes made from now on.
+  async setSchedule(chatId, schedule) {
+    const previous = this.getSchedule(chatId);
+    const changes = previous ? [] : await this.sheetsService.getChangesSince();
+    this.chats[String(chatId)] = {
+      ...schedule,
+      lastPeriod: previous ? previous.lastPeriod : null,
+      lastHistoryRow: previous
+        ? previous.lastHistoryRow
+        : changes.reduce((last, entry) => Math.max(last, entry.rowNumber), 1),
+    };
+    this.save();
+  }
+
+  // Returns false when the chat had no digest.
+  disable(chatId) {
+    if (!this.chats[String(chatId)]) {
+      return false;
+    }
+    delete this.chats[String(chatId)];
+    this.save();
+    return true;
+  }
+
+  start(intervalMs) {
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    this.timer.unref();
+    return this.tick();
+  }
+
+  // Sends every digest that is due. Ticks run one at a time.
+  tick(now = new Date()) {
+    const run = this.ticking.then(() => this.sendDue(now));
+    this.ticking = run.catch(() => {});
+    return run.catch((err) => {
+      console.error("Digest check failed:", err.message);
+    });
+  }
+
+  async sendDue(now) {
+    for (const [chatId, schedule] of Object.entries(this.chats)) {
+      const local = localTime(now, schedule.timeZone);
+      const due =
+        local.time >= schedule.time &&
+        local.date !== schedule.lastPeriod &&
+        (schedule.frequency === "daily" || local.weekday === schedule.weekday);
+      if (due) {
+        // Built first, so a failed read leaves the digest due at the next
+        // tick. Marked before sending: a crash mid-send skips a digest
+        // rather than repeating it
+        const digest = await this.prepareDigest(chatId);
+        await this.deliver(chatId, digest, local.date);
+      }
+    }
+  }
+
+  // Builds and sends one chat's digest now, moving its change watermark.
+  async sendDigest(chatId) {
+    await this.deliver(chatId, await this.prepareDigest(chatId));
+  }
+
+  // Reads the sheet and writes one chat's digest without recording
+  // anything. Resolves to { text, lastHistoryRow }, the History row its
+  // changes go up to.
+  async prepareDigest(chatId) {
+    const schedule = this.getSchedule(chatId);
+    const afterRow = schedule ? schedule.lastHistoryRow : 1;
+    const changes = await this.sheetsService.getChangesSince(afterRow);
+    let text = await this.buildDigest(changes);
+    const lastHistoryRow =
+      changes.length > 0 ? changes[changes.length - 1].rowNumber : afterRow;
+
+    if (this.summarize) {
+      try {
+        const summary = await this.summarize(text);
+        if (summary) {
+          text = `${summary.trim()}\n\n${text}`;
+        }
+      } catch (err) {
+        console.error("Digest summary failed:", err.message);
+      }
+    }
+    return { text, lastHistoryRow };
+  }
+
+  // Moves the chat's change watermark past the digest and, for a scheduled
+  // one, marks its `period` as sent, then sends it.
+  async deliver(chatId, digest, period = null) {
+    const schedule = this.getSchedule(chatId);
+    if (schedule) {
+      schedule.lastHistoryRow = digest.lastHistoryRow;
+      if (period) {
+        schedule.lastPeriod = period;
+      }
+      this.save();
+    }
+    await this.send(chatId, digest.text);
+  }
+
+  async buildDigest(changes) {
+    const items = await this.sheetsService.getItems();
+    const lowItems = await this.sheetsService.getLowStockItems();
+    const lines = [
+      "Inventory digest",
+      // An item with rows at several locations counts once
+      `Items: ${combineLocations(items).length}`,
+      `Total stock value: $${stockValue(items).toFixed(2)}`,
+    ];
+
+    const changedItems = new Map();
+    changes.forEach((entry) => {
+      const key = entry.item.toLowerCase();
+      const changed = changedItems.get(key) || { name: entry.item, count: 0 };
+      changed.count++;
+      changed.lastActor = entry.actor;
+      changedItems.set(key, changed);
+    });
+    if (changedItems.size === 0) {
+      lines.push("", "No changes since the last digest.");
+    } else {
+      lines.push("", "Changed since the last digest:");
+      [...changedItems.values()]
+        .slice(0, MAX_CHANGED_ITEMS)
+        .forEach((changed) =>
+          lines.push(
+            `- ${changed.name}: ${changed.count} change(s), last by ${changed.lastActor}`
+          )
+        );
+      if (changedItems.size > MAX_CHANGED_ITEMS) {
+        lines.push(`...and ${changedItems.size - MAX_CHANGED_ITEMS} more`);
+      }
+    }
+
+    if (lowItems.length === 0) {
+      lines.push("", "Nothing is running low.");
+    } else {
+      lines.push("", "Running low:");
+      lowItems.forEach((item) =>
+        lines.push(
+          `- ${item.name}: ${item.quantity} left (reorder level ${item.reorderLevel})`
+        )
+      );
+    }
+    return lines.join("\n");
+  }
+}
+
+module.exports = {
+  DigestScheduler,
+  parseSchedule,
+  describeSchedule,
+  isTimeZone,
+};
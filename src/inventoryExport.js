@@ -0,0 +1,194 @@
+const ExcelJS = require("exceljs");
+const PDFDocument = require("pdfkit");
+const { formatCsv } = require("./csv");
+const { COLUMNS } = require("./inventorySchema");
+const { formatTimestamp } = require("./sheetsService");
+
+// --- Inventory Export ---
+// Renders the inventory (optionally filtered like /find) as a CSV, XLSX or
+// PDF file for sharing, with a value per item (Quantity x Price), the total
+// stock value and when the export was generated. Used by the Telegram
+// /export command and the CLI's export command.
+
+const EXPORT_FORMATS = ["csv", "xlsx", "pdf"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+const VALUE_HEADER = "Value";
+
+function itemValue(item) {
+  const value = Number(item[COLUMNS.QUANTITY]) * Number(item[COLUMNS.PRICE]);
+  return Number.isFinite(value) ? value : null;
+}
+
+function formatMoney(value) {
+  return value === null ? "" : value.toFixed(2);
+}
+
+// Numbers stay numbers in XLSX; everything else is written as text.
+function cellValue(header, value) {
+  if (
+    [COLUMNS.QUANTITY, COLUMNS.PRICE, COLUMNS.REORDER_LEVEL].includes(header)
+  ) {
+    const number = Number(value);
+    return value !== "" && Number.isFinite(number) ? number : value;
+  }
+  return value;
+}
+
+// Spreadsheet apps run CSV cells starting with "=", "+" or "@" as formulas.
+function csvText(value) {
+  return /^[=+@]/.test(String(value)) ? `'${value}` : value;
+}
+
+function renderCsv(report) {
+  return Buffer.from(
+    formatCsv([
+      [...report.headers, VALUE_HEADER],
+      ...report.items.map((item) => [
+        ...report.headers.map((header) => csvText(item[header])),
+        formatMoney(itemValue(item)),
+      ]),
+      [],
+      ["Total value", formatMoney(report.total)],
+      ["Generated", report.generatedAt],
+    ]),
+    "utf8"
+  );
+}
+
+async function renderXlsx(report) {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet("Inventory");
+  worksheet.addRow([...report.headers, VALUE_HEADER]).font = { bold: true };
+  report.items.forEach((item) =>
+    worksheet.addRow([
+      ...report.headers.map((header) => cellValue(header, item[header])),
+      itemValue(item),
+    ])
+  );
+  worksheet.addRow([]);
+  worksheet.addRow(["Total value", report.total]).font = { bold: true };
+  worksheet.addRow(["Generated", report.generatedAt]);
+  worksheet.columns.forEach((column) => {
+    column.width = 16;
+  });
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// A simple table of name, quantity, price and value; other columns are left
+// out to fit the page.
+function renderPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 40 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    doc.fontSize(18).text("Inventory");
+    doc
+      .fontSize(10)
+      .text(
+        `Generated ${report.generatedAt}${
+          report.filter ? `, items matching '${report.filter}'` : ""
+        }`
+      );
+    doc.moveDown();
+
+    const columns = [
+      { header: COLUMNS.NAME, width: 235 },
+      { header: COLUMNS.QUANTITY, width: 80 },
+      { header: COLUMNS.PRICE, width: 90 },
+      { header: VALUE_HEADER, width: 110 },
+    ];
+    const drawRow = (values, font) => {
+      if (doc.y > doc.page.height - 60) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      let bottom = y;
+      doc.font(font);
+      values.forEach((value, index) => {
+        doc.text(String(value), x, y, {
+          width: columns[index].width - 10,
+          align: index === 0 ? "left" : "right",
+        });
+        bottom = Math.max(bottom, doc.y); // Long names wrap
+        x += columns[index].width;
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = bottom;
+      doc.moveDown(0.4);
+    };
+
+    drawRow(
+      columns.map((column) => column.header),
+      "Helvetica-Bold"
+    );
+    report.items.forEach((item) =>
+      drawRow(
+        [
+          item[COLUMNS.NAME],
+          item[COLUMNS.QUANTITY],
+          item[COLUMNS.PRICE],
+          formatMoney(itemValue(item)),
+        ],
+        "Helvetica"
+      )
+    );
+    doc.moveDown();
+    drawRow(
+      ["Total value", "", "", formatMoney(report.total)],
+      "Helvetica-Bold"
+    );
+    doc.end();
+  });
+}
+
+const RENDERERS = { csv: renderCsv, xlsx: renderXlsx, pdf: renderPdf };
+
+// Resolves to { buffer, fileName, contentType, itemCount, total,
+// generatedAt }. `filter` keeps the items with the text in any cell.
+async function exportInventory(sheetsService, format, options = {}) {
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(
+      `Unknown export format '${format}'. Use one of: ${EXPORT_FORMATS.join(
+        ", "
+      )}.`
+    );
+  }
+  const filter = (options.filter || "").trim();
+  const items = (await sheetsService.getItems()).filter(
+    (item) =>
+      !filter ||
+      Object.values(item).some((value) =>
+        String(value).toLowerCase().includes(filter.toLowerCase())
+      )
+  );
+  const report = {
+    headers: sheetsService.headers.filter((header) => header.trim() !== ""),
+    items,
+    filter,
+    total: items.reduce((sum, item) => sum + (itemValue(item) || 0), 0),
+    generatedAt: formatTimestamp(),
+  };
+
+  const buffer = await RENDERERS[format](report);
+  const stamp = report.generatedAt.replace(/[: ]/g, "-");
+  return {
+    buffer,
+    fileName: `inventory-${stamp}.${format}`,
+    contentType: CONTENT_TYPES[format],
+    itemCount: items.length,
+    total: report.total,
+    generatedAt: report.generatedAt,
+  };
+}
+
+module.exports = { EXPORT_FORMATS, exportInventory, formatMoney };
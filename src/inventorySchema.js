@@ -0,0 +1,207 @@
+// --- Inventory Schema ---
+// The sheet's header row is the source of truth for which columns exist.
+// These helpers map headers to Gemini tool parameters and back.
+
+const COLUMNS = {
+  NAME: "Name",
+  QUANTITY: "Quantity",
+  PRICE: "Price",
+  LAST_UPDATED: "Last Updated",
+  LAST_REASON: "Last Change Reason",
+  REORDER_LEVEL: "Reorder Level", // Optional, see ./lowStockMonitor
+  ALIASES: "Aliases", // Optional, comma-separated, see ./itemResolver
+  LOCATION: "Location", // Optional, one row per item and location
+};
+
+const DEFAULT_HEADERS = [
+  COLUMNS.NAME,
+  COLUMNS.QUANTITY,
+  COLUMNS.PRICE,
+  COLUMNS.LAST_UPDATED,
+];
+
+// Columns every inventory sheet must have.
+const REQUIRED_COLUMNS = [COLUMNS.NAME, COLUMNS.QUANTITY];
+
+// Columns holding non-negative numbers.
+const NUMERIC_COLUMNS = [
+  COLUMNS.QUANTITY,
+  COLUMNS.PRICE,
+  COLUMNS.REORDER_LEVEL,
+];
+
+// Columns maintained by the service itself, never set through tools.
+const MANAGED_COLUMNS = [COLUMNS.LAST_UPDATED, COLUMNS.LAST_REASON];
+
+// Parameter names kept stable for the original columns.
+const KNOWN_PARAMS = {
+  [COLUMNS.NAME]: "itemName",
+  [COLUMNS.QUANTITY]: "quantity",
+  [COLUMNS.PRICE]: "price",
+};
+
+// "Supplier" -> "supplier", "Unit Cost (USD)" -> "unitCostUsd"
+function headerToParam(header) {
+  if (KNOWN_PARAMS[header]) {
+    return KNOWN_PARAMS[header];
+  }
+  const words = header
+    .trim()
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.toLowerCase());
+  return words
+    .map((word, index) =>
+      index === 0 ? word : word[0].toUpperCase() + word.slice(1)
+    )
+    .join("");
+}
+
+function isNumericColumn(header) {
+  return NUMERIC_COLUMNS.includes(header);
+}
+
+// Location names are matched ignoring case and surrounding spaces.
+function sameLocation(a, b) {
+  return (
+    String(a ?? "")
+      .trim()
+      .toLowerCase() ===
+    String(b ?? "")
+      .trim()
+      .toLowerCase()
+  );
+}
+
+// Key of the per-location quantities in combined items (see
+// combineLocations).
+const STOCK_BY_LOCATION = "Stock by Location";
+
+// One item per name with the quantities of all its rows added up and
+// listed under STOCK_BY_LOCATION, e.g. { Shop: 3, "Back Room": 2 }. The
+// other columns come from the first row, with empty cells filled from the
+// later ones; Location and the managed columns are left out.
+function combineLocations(items) {
+  const combined = new Map();
+  items.forEach((item) => {
+    if (!item[COLUMNS.NAME]) {
+      return;
+    }
+    const key = item[COLUMNS.NAME].toLowerCase();
+    const location = item[COLUMNS.LOCATION] || "(no location)";
+    const quantity = Number(item[COLUMNS.QUANTITY] || 0);
+    if (!combined.has(key)) {
+      const first = { ...item, [COLUMNS.QUANTITY]: 0, [STOCK_BY_LOCATION]: {} };
+      [COLUMNS.LOCATION, ...MANAGED_COLUMNS].forEach(
+        (header) => delete first[header]
+      );
+      combined.set(key, first);
+    }
+    const entry = combined.get(key);
+    entry[COLUMNS.QUANTITY] += quantity;
+    entry[STOCK_BY_LOCATION][location] =
+      (entry[STOCK_BY_LOCATION][location] || 0) + quantity;
+    Object.keys(entry).forEach((header) => {
+      if (entry[header] === "" && item[header]) {
+        entry[header] = item[header];
+      }
+    });
+  });
+  return [...combined.values()];
+}
+
+// The distinct locations of `items`, in sheet order.
+function itemLocations(items) {
+  const locations = [];
+  items.forEach((item) => {
+    const location = String(item[COLUMNS.LOCATION] ?? "").trim();
+    if (location && !locations.some((other) => sameLocation(other, location))) {
+      locations.push(location);
+    }
+  });
+  return locations;
+}
+
+function missingColumns(headers, required = REQUIRED_COLUMNS) {
+  return required.filter((column) => !headers.includes(column));
+}
+
+// Tool-settable columns of the sheet, i.e. everything but managed ones.
+function editableHeaders(headers) {
+  return headers.filter(
+    (header) => header.trim() !== "" && !MANAGED_COLUMNS.includes(header)
+  );
+}
+
+// Builds JSON-schema `properties` for the given headers.
+function buildProperties(headers, describe) {
+  const properties = {};
+  headers.forEach((header) => {
+    const property = isNumericColumn(header)
+      ? { type: "number", minimum: 0 }
+      : { type: "string" };
+    property.description = describe(header);
+    properties[headerToParam(header)] = property;
+  });
+  return properties;
+}
+
+// Maps tool args back onto sheet headers, dropping args with no column.
+function argsToFields(headers, args) {
+  const fields = {};
+  headers.forEach((header) => {
+    const param = headerToParam(header);
+    if (args[param] !== undefined) {
+      fields[header] = args[param];
+    }
+  });
+  return fields;
+}
+
+// Converts a raw sheet row into an object keyed by header.
+function rowToItem(headers, row) {
+  const item = {};
+  headers.forEach((header, index) => {
+    item[header] = row[index] || "";
+  });
+  return item;
+}
+
+// An item with its numeric columns as numbers and their empty cells as
+// null. Values that are not numbers are kept as text so they can be shown.
+function toTypedItem(item) {
+  const typed = {};
+  Object.entries(item).forEach(([header, value]) => {
+    if (header.trim() === "") {
+      return;
+    }
+    if (!isNumericColumn(header) || typeof value === "number") {
+      typed[header] = value;
+    } else if (value === "" || value === undefined || value === null) {
+      typed[header] = null;
+    } else {
+      typed[header] = Number.isNaN(Number(value)) ? value : Number(value);
+    }
+  });
+  return typed;
+}
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_HEADERS,
+  REQUIRED_COLUMNS,
+  NUMERIC_COLUMNS,
+  MANAGED_COLUMNS,
+  headerToParam,
+  isNumericColumn,
+  STOCK_BY_LOCATION,
+  sameLocation,
+  itemLocations,
+  combineLocations,
+  missingColumns,
+  editableHeaders,
+  buildProperties,
+  argsToFields,
+  rowToItem,
+  toTypedItem,
+};
@@ -0,0 +1,437 @@
+const { ToolRegistry } = require("./toolRegistry");
+const { ConfirmationPolicy } = require("./confirmationPolicy");
+const { ADD_MODES } = require("./sheetsService");
+const {
+  COLUMNS,
+  editableHeaders,
+  buildProperties,
+  headerToParam,
+  argsToFields,
+} = require("./inventorySchema");
+
+function describeColumn(header) {
+  switch (header) {
+    case COLUMNS.NAME:
+      return "The name of the item.";
+    case COLUMNS.QUANTITY:
+      return "The quantity of the item.";
+    case COLUMNS.PRICE:
+      return "The price of a single unit of the item.";
+    case COLUMNS.LOCATION:
+      return "Where the item is stocked, e.g. 'Shop' or 'Back Room'.";
+    default:
+      return `Value for the '${header}' column.`;
+  }
+}
+
+// --- Inventory Tools for Gemini ---
+// Add/update declarations are generated from the sheet's header row, so new
+// columns become tool parameters without code changes. Call this after
+// `sheetsService.connect()` has discovered the headers.
+// With a Location column, the tools changing one item also take the
+// location whose row to change.
+// options: { confirmThresholds } - see ./confirmationPolicy
+function createInventoryTools(sheetsService, options = {}) {
+  const registry = new ToolRegistry({
+    confirmationPolicy: new ConfirmationPolicy(
+      sheetsService,
+      options.confirmThresholds
+    ),
+  });
+  const headers = editableHeaders(sheetsService.headers);
+  const otherHeaders = headers.filter(
+    (header) =>
+      ![COLUMNS.NAME, COLUMNS.QUANTITY, COLUMNS.PRICE].includes(header)
+  );
+  const hasLocations = headers.includes(COLUMNS.LOCATION);
+  const locationProperties = hasLocations
+    ? {
+        location: {
+          type: "string",
+          description:
+            "The location whose stock is meant, e.g. 'Shop'. Needed when the item is stocked at several locations.",
+        },
+      }
+    : {};
+
+  registry.register(
+    {
+      name: "readInventory",
+      description: hasLocations
+        ? "Reads and lists the items in the inventory spreadsheet, one row per item and location."
+        : "Reads and lists all items currently in the inventory spreadsheet.",
+      parameters: {
+        type: "object",
+        properties: hasLocations
+          ? {
+              location: {
+                type: "string",
+                description: "Only list the stock at this location.",
+              },
+              aggregate: {
+                type: "boolean",
+                description:
+                  "Set to true for one entry per item with its stock at all locations added up.",
+              },
+            }
+          : {}, // No parameters needed
+      },
+    },
+    ({ location, aggregate }) =>
+      sheetsService.readInventory(location, aggregate),
+    { role: "viewer" }
+  );
+
+  registry.register(
+    {
+      name: "addRow",
+      description: `Adds a new item to the inventory spreadsheet. Names differing only in case, spacing or a plural ending count as the same item. Columns: ${headers.join(
+        ", "
+      )}.`,
+      parameters: {
+        type: "object",
+        properties: {
+          ...buildProperties(headers, describeColumn),
+          mode: {
+            type: "string",
+            enum: ADD_MODES,
+            description:
+              "What to do if the item already exists: 'ask' (default) reports it so you can check with the user, 'increment' adds the quantity to the existing item, 'refuse' leaves it unchanged.",
+          },
+        },
+        required: [COLUMNS.NAME, COLUMNS.QUANTITY, COLUMNS.PRICE]
+          .filter((header) => headers.includes(header))
+          .map(headerToParam),
+      },
+    },
+    (args, context) => {
+      const fields = argsToFields(headers, args);
+      const details = argsToFields(otherHeaders, args);
+      return sheetsService.addRow(
+        fields[COLUMNS.NAME],
+        fields[COLUMNS.QUANTITY],
+        fields[COLUMNS.PRICE],
+        details,
+        args.mode || "ask",
+        context
+      );
+    },
+    { role: "manager" }
+  );
+
+  registry.register(
+    {
+      name: "updateItemQuantity",
+      description:
+        "Updates the quantity of an existing item in the inventory spreadsheet.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description:
+              "The name of the item whose quantity needs to be updated.",
+          },
+          newQuantity: {
+            type: "number",
+            description: "The new quantity for the item.",
+            minimum: 0,
+          },
+          ...locationProperties,
+        },
+        required: ["itemName", "newQuantity"],
+      },
+    },
+    ({ itemName, newQuantity, location }, context) =>
+      sheetsService.updateItemQuantity(
+        itemName,
+        newQuantity,
+        location,
+        context
+      ),
+    { role: "clerk" }
+  );
+
+  // Stock moves between locations with transferStock
+  const updatableHeaders = headers.filter(
+    (header) => ![COLUMNS.NAME, COLUMNS.LOCATION].includes(header)
+  );
+  registry.register(
+    {
+      name: "updateItem",
+      description: `Changes one or more column values of an existing item. Only pass the columns that change. Columns: ${updatableHeaders.join(
+        ", "
+      )}.`,
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item to update.",
+          },
+          ...buildProperties(updatableHeaders, describeColumn),
+          ...locationProperties,
+        },
+        required: ["itemName"],
+      },
+    },
+    ({ itemName, location, ...args }, context) =>
+      sheetsService.updateItem(
+        itemName,
+        argsToFields(updatableHeaders, args),
+        location,
+        context
+      ),
+    { role: "manager" }
+  );
+
+  const reasonProperty = {
+    type: "string",
+    description:
+      "Why the stock changed, e.g. 'supplier delivery', 'sold', 'damaged'.",
+  };
+
+  registry.register(
+    {
+      name: "receiveStock",
+      description:
+        "Adds received units to the current quantity of an existing item, e.g. for deliveries or returns.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item that was received.",
+          },
+          quantity: {
+            type: "number",
+            description: "How many units were received.",
+            minimum: 0,
+          },
+          reason: reasonProperty,
+          ...locationProperties,
+        },
+        required: ["itemName", "quantity", "reason"],
+      },
+    },
+    ({ itemName, quantity, reason, location }, context) =>
+      sheetsService.receiveStock(itemName, quantity, reason, location, context),
+    { role: "clerk" }
+  );
+
+  registry.register(
+    {
+      name: "consumeStock",
+      description:
+        "Removes units from the current quantity of an existing item, e.g. for sales or breakage. Refuses to go below zero unless allowNegative is true.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item that was sold or used.",
+          },
+          quantity: {
+            type: "number",
+            description: "How many units were removed.",
+            minimum: 0,
+          },
+          reason: reasonProperty,
+          allowNegative: {
+            type: "boolean",
+            description:
+              "Only set to true if the user explicitly wants the stock to go below zero.",
+          },
+          ...locationProperties,
+        },
+        required: ["itemName", "quantity", "reason"],
+      },
+    },
+    ({ itemName, quantity, reason, allowNegative, location }, context) =>
+      sheetsService.consumeStock(
+        itemName,
+        quantity,
+        reason,
+        allowNegative,
+        location,
+        context
+      ),
+    { role: "clerk" }
+  );
+
+  registry.register(
+    {
+      name: "adjustQuantity",
+      description:
+        "Changes the quantity of an existing item by a positive or negative delta, e.g. after a stock count. Prefer this over updateItemQuantity for relative changes.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item to adjust.",
+          },
+          delta: {
+            type: "number",
+            description: "The amount to add (positive) or remove (negative).",
+          },
+          reason: reasonProperty,
+          allowNegative: {
+            type: "boolean",
+            description:
+              "Only set to true if the user explicitly wants the stock to go below zero.",
+          },
+          ...locationProperties,
+        },
+        required: ["itemName", "delta", "reason"],
+      },
+    },
+    ({ itemName, delta, reason, allowNegative, location }, context) =>
+      sheetsService.adjustQuantity(
+        itemName,
+        delta,
+        reason,
+        allowNegative,
+        location,
+        context
+      ),
+    { role: "clerk" }
+  );
+
+  registry.register(
+    {
+      name: "transferStock",
+      description:
+        "Moves units of an item from one location to another, e.g. from the back room to the shop. Both quantities change together, and the transfer is refused if the source location has fewer units. Needs a Location column in the sheet.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item to move.",
+          },
+          quantity: {
+            type: "number",
+            description: "How many units to move.",
+            minimum: 0,
+          },
+          fromLocation: {
+            type: "string",
+            description: "The location the units are taken from.",
+          },
+          toLocation: {
+            type: "string",
+            description: "The location the units are moved to.",
+          },
+          reason: reasonProperty,
+        },
+        required: [
+          "itemName",
+          "quantity",
+          "fromLocation",
+          "toLocation",
+          "reason",
+        ],
+      },
+    },
+    ({ itemName, quantity, fromLocation, toLocation, reason }, context) =>
+      sheetsService.transferStock(
+        itemName,
+        quantity,
+        fromLocation,
+        toLocation,
+        reason,
+        context
+      ),
+    { role: "clerk" }
+  );
+
+  registry.register(
+    {
+      name: "deleteItem",
+      description:
+        "Removes an item and its row from the inventory spreadsheet. Only use it when the user clearly asks to delete or discontinue an item.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item to delete.",
+          },
+          reason: {
+            type: "string",
+            description: "Why the item is being removed.",
+          },
+          ...locationProperties,
+        },
+        required: ["itemName", "reason"],
+      },
+    },
+    ({ itemName, reason, location }, context) =>
+      sheetsService.deleteItem(itemName, reason, location, context),
+    { role: "manager" }
+  );
+
+  registry.register(
+    {
+      name: "getItemHistory",
+      description:
+        "Lists recent recorded changes to an item: when, who made them, which tool was used, the old and new values and the reason. Use it to answer questions like 'who changed the keyboard count yesterday?'.",
+      parameters: {
+        type: "object",
+        properties: {
+          itemName: {
+            type: "string",
+            description: "The name of the item to look up.",
+          },
+          limit: {
+            type: "integer",
+            description: "How many of the most recent changes to return.",
+            minimum: 1,
+          },
+        },
+        required: ["itemName"],
+      },
+    },
+    ({ itemName, limit }) => sheetsService.getItemHistory(itemName, limit),
+    { role: "viewer" }
+  );
+
+  registry.register(
+    {
+      name: "listLowStock",
+      description:
+        "Lists the items whose quantity is at or below their reorder level, with how many are left. Use it to answer questions like 'what do we need to reorder?'.",
+      parameters: {
+        type: "object",
+        properties: {},
+      },
+    },
+    () => sheetsService.listLowStock(),
+    { role: "viewer" }
+  );
+
+  registry.register(
+    {
+      name: "findDuplicates",
+      description:
+        "Finds items listed more than once under names that differ only in case, spacing or a plural ending (e.g. 'Laptop' and 'laptops'). With merge set to true, folds each group into its first row: quantities are added up and the other rows are deleted.",
+      parameters: {
+        type: "object",
+        properties: {
+          merge: {
+            type: "boolean",
+            description:
+              "Only set to true if the user asked to merge the duplicates, not just to find them.",
+          },
+        },
+      },
+    },
+    ({ merge }, context) => sheetsService.findDuplicates(merge, context),
+    { role: "manager" }
+  );
+
+  return registry;
+}
+
+module.exports = { createInventoryTools };
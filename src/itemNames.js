@@ -0,0 +1,35 @@
+// --- Item Names ---
+// Item names typed in chat rarely match the sheet exactly: "laptops",
+// " Laptop", "USB  cable". Names are compared through a normal form that
+// ignores case, surrounding and repeated whitespace, and a plural ending on
+// the last word.
+
+// "boxes" -> "box", "batteries" -> "battery", "cables" -> "cable". Words
+// ending in "ss" ("glass") or shorter than four letters are left alone.
+function singularize(word) {
+  if (word.length < 4 || word.endsWith("ss")) {
+    return word;
+  }
+  if (word.endsWith("ies")) {
+    return `${word.slice(0, -3)}y`;
+  }
+  if (/(ch|sh|x|z|ss)es$/.test(word)) {
+    return word.slice(0, -2);
+  }
+  if (word.endsWith("s") && !/(us|is)$/.test(word)) {
+    return word.slice(0, -1);
+  }
+  return word;
+}
+
+function normalizeItemName(name) {
+  const words = String(name).trim().toLowerCase().split(/\s+/);
+  words[words.length - 1] = singularize(words[words.length - 1]);
+  return words.join(" ");
+}
+
+function isSameItemName(a, b) {
+  return normalizeItemName(a) === normalizeItemName(b);
+}
+
+module.exports = { normalizeItemName, isSameItemName };
@@ -0,0 +1,127 @@
+const { COLUMNS } = require("./inventorySchema");
+const { normalizeItemName } = require("./itemNames");
+
+// --- Item Resolver ---
+// Finds the item a name typed in chat refers to: its name, an alias listed
+// in the optional Aliases column ("mouse, mice") or a slight misspelling of
+// either ("keybord"). Only such a match is used, as tools write to the item
+// they get; anything looser ("wireless mouse", "house") is answered with
+// suggestions, ranked by a score from 0 to 1 based on the edit distance
+// and the words the names share with the query.
+
+// A misspelling may be one edit per this many letters, so "lpatop" is
+// Laptop but "house" is not Mouse.
+const LETTERS_PER_EDIT = 6;
+// Scores at or above this are offered as suggestions.
+const SUGGEST_SCORE = 0.5;
+const MAX_SUGGESTIONS = 3;
+
+// Insertions, deletions, substitutions and swapped neighbours ("lpatop")
+// each count as one edit.
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(
+        d[i - 1][j] + 1,
+        d[i][j - 1] + 1,
+        d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+// Compares a normalized item name with a normalized query. Containing
+// every word of the query ("wireless mouse" for "mouse") scores high, but
+// below an exact match; a query with words the name lacks ("laptop
+// charger" for "laptop") scores lower the more of them it has.
+function similarity(name, query) {
+  if (name === query) {
+    return 1;
+  }
+  const spelling =
+    1 - editDistance(name, query) / Math.max(name.length, query.length);
+  const nameWords = new Set(name.split(" "));
+  const queryWords = new Set(query.split(" "));
+  const shared = [...queryWords].filter((word) => nameWords.has(word)).length;
+  const overlap = (0.9 * shared) / queryWords.size;
+  return Math.max(spelling, overlap);
+}
+
+function isNearIdentical(name, query) {
+  const allowed = Math.floor(
+    Math.max(name.length, query.length) / LETTERS_PER_EDIT
+  );
+  return editDistance(name, query) <= allowed;
+}
+
+function itemNames(item) {
+  const aliases = String(item[COLUMNS.ALIASES] || "")
+    .split(",")
+    .filter((alias) => alias.trim() !== "");
+  return [item[COLUMNS.NAME], ...aliases].map(normalizeItemName);
+}
+
+// { score, close } where `close` means a name or alias is the query or
+// near-identical to it.
+function scoreItem(item, query) {
+  const target = normalizeItemName(query);
+  const names = itemNames(item);
+  return {
+    score: Math.max(...names.map((name) => similarity(name, target))),
+    close: names.some((name) => isNearIdentical(name, target)),
+  };
+}
+
+// items: inventory items keyed by header. Resolves to { index, item } for
+// an exact match or the single close one (see scoreItem), or
+// { suggestions } with the closest item names (which may be empty). Rows
+// sharing a name, such as an item's rows at several locations, are one
+// candidate: its best-scoring row, the first on a tie.
+function resolveItem(items, query) {
+  const seen = new Set();
+  const ranked = items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item[COLUMNS.NAME])
+    .map((entry) => ({ ...entry, ...scoreItem(entry.item, query) }))
+    .sort((a, b) => b.score - a.score)
+    .filter(({ item }) => {
+      const name = String(item[COLUMNS.NAME]).toLowerCase();
+      if (seen.has(name)) {
+        return false;
+      }
+      seen.add(name);
+      return true;
+    });
+
+  const [best] = ranked;
+  const close = ranked.filter((entry) => entry.close);
+  if (best && (best.score === 1 || close.length === 1)) {
+    const match = best.score === 1 ? best : close[0];
+    return { index: match.index, item: match.item };
+  }
+  return {
+    suggestions: ranked
+      .filter((entry) => entry.score >= SUGGEST_SCORE)
+      .slice(0, MAX_SUGGESTIONS)
+      .map(({ item }) => item[COLUMNS.NAME]),
+  };
+}
+
+function formatNotFound(query, suggestions) {
+  if (suggestions.length === 0) {
+    return `Item '${query}' not found in inventory.`;
+  }
+  return `Item '${query}' not found in inventory. Did you mean ${suggestions
+    .map((name) => `'${name}'`)
+    .join(" or ")}?`;
+}
+
+module.exports = { resolveItem, formatNotFound, similarity };
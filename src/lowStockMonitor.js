@@ -0,0 +1,105 @@
+const fs = require("fs");
+
+// --- Low Stock Monitor ---
+// Pushes an alert to subscribed chats when an item drops to or below its
+// reorder level (see SheetsService#getLowStockItems). Items already alerted
+// are remembered, so each crossing is announced once; an item is re-armed
+// when its stock is back above the level. Subscriptions and alerted items
+// are stored in a JSON file so a restart neither loses subscribers nor
+// repeats alerts.
+class LowStockMonitor {
+  // notify(chatIds, text) delivers an alert, e.g. through the Telegram bot.
+  constructor(sheetsService, filePath, notify) {
+    this.sheetsService = sheetsService;
+    this.filePath = filePath;
+    this.notify = notify;
+    this.state = this.load();
+    this.checking = Promise.resolve();
+    this.timer = null;
+  }
+
+  load() {
+    const empty = { subscribers: [], alerted: [] };
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return empty;
+    }
+    return { ...empty, ...JSON.parse(fs.readFileSync(this.filePath, "utf8")) };
+  }
+
+  save() {
+    if (this.filePath) {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.state, null, 2));
+    }
+  }
+
+  // Both return false when there was nothing to change.
+  subscribe(chatId) {
+    if (this.state.subscribers.includes(String(chatId))) {
+      return false;
+    }
+    this.state.subscribers.push(String(chatId));
+    this.save();
+    return true;
+  }
+
+  unsubscribe(chatId) {
+    if (!this.state.subscribers.includes(String(chatId))) {
+      return false;
+    }
+    this.state.subscribers = this.state.subscribers.filter(
+      (id) => id !== String(chatId)
+    );
+    this.save();
+    return true;
+  }
+
+  // Checks after every inventory change and every `intervalMs`, which also
+  // catches edits made directly in the sheet.
+  start(intervalMs) {
+    this.sheetsService.on("change", () => this.check());
+    this.timer = setInterval(() => this.check(), intervalMs);
+    this.timer.unref();
+    return this.check();
+  }
+
+  // Resolves to the items that newly crossed below their level. Checks run
+  // one at a time so overlapping triggers cannot alert twice.
+  check() {
+    const run = this.checking.then(() => this.runCheck());
+    this.checking = run.catch(() => {});
+    return run.catch((err) => {
+      console.error("Low stock check failed:", err.message);
+      return [];
+    });
+  }
+
+  async runCheck() {
+    const lowItems = await this.sheetsService.getLowStockItems();
+    const alerted = new Set(this.state.alerted);
+    const crossed = lowItems.filter(
+      (item) => !alerted.has(item.name.toLowerCase())
+    );
+    const stillLow = lowItems.map((item) => item.name.toLowerCase());
+    const changed =
+      crossed.length > 0 || stillLow.length !== this.state.alerted.length;
+
+    this.state.alerted = stillLow;
+    if (changed) {
+      this.save();
+    }
+    if (crossed.length > 0 && this.state.subscribers.length > 0) {
+      await this.notify(
+        this.state.subscribers,
+        `Low stock alert:\n${crossed
+          .map(
+            (item) =>
+              `- ${item.name}: ${item.quantity} left (reorder level ${item.reorderLevel})`
+          )
+          .join("\n")}`
+      );
+    }
+    return crossed;
+  }
+}
+
+module.exports = { LowStockMonitor };
@@ -0,0 +1,31 @@
+// --- Mutation Queues ---
+// Changes to one spreadsheet run one at a time within this process, so a
+// read-modify-write is never interleaved with another one. The queue belongs
+// to the spreadsheet rather than to a SheetsService, as several services
+// (and the History worksheet) may write to the same spreadsheet.
+
+class MutationQueue {
+  constructor() {
+    this.tail = Promise.resolve();
+  }
+
+  // Runs `task` once every task queued before it has finished, whether it
+  // succeeded or not. Resolves or rejects like `task`.
+  run(task) {
+    const run = this.tail.then(task, task);
+    this.tail = run.catch(() => {});
+    return run;
+  }
+}
+
+const queues = new Map();
+
+// The queue of the store a repository's `storeKey` identifies.
+function mutationQueueFor(storeKey) {
+  if (!queues.has(storeKey)) {
+    queues.set(storeKey, new MutationQueue());
+  }
+  return queues.get(storeKey);
+}
+
+module.exports = { MutationQueue, mutationQueueFor };
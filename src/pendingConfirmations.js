@@ -0,0 +1,47 @@
+const crypto = require("crypto");
+
+// --- Pending Confirmations ---
+// Changes (tool calls, imports) waiting for a Confirm/Cancel button press.
+// Entries expire after `timeoutMs`, at which point `onExpire(entry)` is
+// called.
+class PendingConfirmations {
+  constructor(timeoutMs, onExpire) {
+    this.timeoutMs = timeoutMs;
+    this.onExpire = onExpire;
+    this.pending = new Map();
+  }
+
+  // Stores the entry object itself, so callers may add fields (such as the
+  // id of the preview message) after adding it. Returns the entry's id.
+  add(entry) {
+    const id = crypto.randomBytes(8).toString("hex");
+    entry.expiresAt = Date.now() + this.timeoutMs;
+    entry.timer = setTimeout(() => {
+      this.pending.delete(id);
+      if (this.onExpire) {
+        Promise.resolve(this.onExpire(entry)).catch((error) =>
+          console.error("Error expiring confirmation:", error)
+        );
+      }
+    }, this.timeoutMs);
+    entry.timer.unref?.();
+    this.pending.set(id, entry);
+    return id;
+  }
+
+  get(id) {
+    return this.pending.get(id) || null;
+  }
+
+  // Removes and returns an entry so it can only be answered once.
+  take(id) {
+    const entry = this.get(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.pending.delete(id);
+    }
+    return entry;
+  }
+}
+
+module.exports = { PendingConfirmations };
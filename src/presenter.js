@@ -0,0 +1,214 @@
+const { COLUMNS } = require("./inventorySchema");
+const { formatHistoryEntry } = require("./auditLog");
+const { ERROR_CODES, isFailure } = require("./results");
+
+// --- Presenter ---
+// Text for people from SheetsService results (see ./results), shared by the
+// Telegram bot and the CLI. Gemini gets the result objects themselves.
+
+// "'Laptop'", or "'Laptop' at Shop" for a row of a sheet with locations.
+function formatItemName(item) {
+  const location = item[COLUMNS.LOCATION];
+  return `'${item[COLUMNS.NAME]}'${location ? ` at ${location}` : ""}`;
+}
+
+function formatItem(item) {
+  const fields = [];
+  Object.entries(item).forEach(([header, value]) => {
+    // Combined items list their stock per location as an object
+    const text =
+      value === null
+        ? ""
+        : typeof value === "object"
+        ? Object.entries(value)
+            .map(([location, quantity]) => `${location} ${quantity}`)
+            .join(", ")
+        : value;
+    if (header === COLUMNS.NAME) {
+      fields.push(`Item: ${text}`);
+    } else if (header === COLUMNS.PRICE) {
+      fields.push(`Price: $${text}`);
+    } else if (header === COLUMNS.QUANTITY || text !== "") {
+      fields.push(`${header}: ${text}`);
+    }
+  });
+  return `- ${fields.join(", ")}`;
+}
+
+function formatError(error) {
+  if (error.code === ERROR_CODES.VALIDATION && Array.isArray(error.details)) {
+    return `${error.details
+      .map((detail) => `${detail.field} ${detail.message}`)
+      .join("; ")}.`;
+  }
+  return error.message;
+}
+
+function formatAdjustment({ item, previous, delta, reason }) {
+  return `Adjusted quantity of ${formatItemName(item)} from ${
+    previous[COLUMNS.QUANTITY]
+  } to ${item[COLUMNS.QUANTITY]} (${
+    delta >= 0 ? "+" : ""
+  }${delta}, reason: ${reason}).`;
+}
+
+// Keyed by SheetsService method, which is also the tool name.
+const FORMATTERS = {
+  readInventory: ({ items, location, aggregated }) => {
+    if (items.length === 0) {
+      return location
+        ? `No items at ${location}.`
+        : "No data found in inventory.";
+    }
+    const title = location
+      ? `Inventory at ${location}`
+      : `Current Inventory${aggregated ? " (all locations)" : ""}`;
+    return `${title}:\n${items.map(formatItem).join("\n")}`;
+  },
+
+  searchInventory: ({ query, items }) =>
+    items.length === 0
+      ? `No items match '${query}'.`
+      : `Items matching '${query}':\n${items.map(formatItem).join("\n")}`,
+
+  listLowStock: ({ items }) =>
+    items.length === 0
+      ? "No items are at or below their reorder level."
+      : `Items to reorder:\n${items
+          .map(
+            (item) =>
+              `- ${item.name}: ${item.quantity} left (reorder level ${item.reorderLevel})`
+          )
+          .join("\n")}`,
+
+  addRow: ({ item, previous }) => {
+    const name = item[COLUMNS.NAME];
+    if (!previous) {
+      return `Successfully added '${name}' to the inventory.`;
+    }
+    const before = previous[COLUMNS.QUANTITY] || 0;
+    return `'${name}' was already in the inventory, so added ${
+      item[COLUMNS.QUANTITY] - before
+    } to it: ${before} → ${item[COLUMNS.QUANTITY]}.`;
+  },
+
+  updateItemQuantity: ({ item }) =>
+    `Updated quantity of ${formatItemName(item)} to ${item[COLUMNS.QUANTITY]}.`,
+
+  updateItem: ({ item, previous }) =>
+    `Updated '${item[COLUMNS.NAME]}': ${Object.keys(previous)
+      .map((header) => `${header} = ${item[header]}`)
+      .join(", ")}.`,
+
+  adjustQuantity: formatAdjustment,
+  receiveStock: formatAdjustment,
+  consumeStock: formatAdjustment,
+
+  transferStock: ({ name, quantity, from, to }) =>
+    `Moved ${quantity} of '${name}' from ${from.location} (${from.previous} → ${from.quantity}) to ${to.location} (${to.previous} → ${to.quantity}).`,
+
+  deleteItem: ({ deleted }) =>
+    `Deleted ${formatItemName(deleted)} from the inventory.`,
+
+  getItemHistory: ({ name, entries }) =>
+    entries.length === 0
+      ? `No recorded changes for '${name}'.`
+      : `Changes to '${name}' (newest first):\n${entries
+          .map(formatHistoryEntry)
+          .join("\n")}`,
+
+  findDuplicates: (result) => {
+    if (result.groups) {
+      return result.groups.length === 0
+        ? "No duplicate items found."
+        : `Found ${
+            result.groups.length
+          } group(s) of duplicate items:\n${result.groups
+            .map(
+              (group) =>
+                `- ${group
+                  .map(
+                    ({ rowNumber, item }) =>
+                      `'${item[COLUMNS.NAME]}' (row ${rowNumber}, quantity ${
+                        item[COLUMNS.QUANTITY] || 0
+                      })`
+                  )
+                  .join(", ")}`
+            )
+            .join("\n")}`;
+    }
+    const { merged, skipped } = result;
+    if (merged.length === 0 && skipped.length === 0) {
+      return "No duplicate items found.";
+    }
+    const lines =
+      merged.length > 0
+        ? [
+            `Merged ${merged.length} group(s):`,
+            ...merged.map(
+              ({ item, names }) =>
+                `- '${item[COLUMNS.NAME]}' now has ${
+                  item[COLUMNS.QUANTITY]
+                } (merged ${names.map((name) => `'${name}'`).join(", ")})`
+            ),
+          ]
+        : [];
+    if (skipped.length > 0) {
+      lines.push(
+        `Not merged: ${skipped
+          .map(({ name, message }) => `'${name}' (${message})`)
+          .join(", ")}`
+      );
+    }
+    return lines.join("\n");
+  },
+
+  importItems: ({ added, updated, skipped }) => {
+    const skippedLines =
+      skipped.length > 0
+        ? ` Skipped ${skipped.length} line(s): ${skipped
+            .map((error) => `line ${error.line}: ${error.message}`)
+            .join("; ")}.`
+        : "";
+    return `Imported ${added} new item(s) and updated ${updated} item(s).${skippedLines}`;
+  },
+
+  refresh: ({ itemCount }) =>
+    `Reloaded the inventory from the sheet: ${itemCount} item(s).`,
+
+  undo: ({ undone, conflict }) => {
+    if (undone.length === 0 && !conflict) {
+      return "There is nothing to undo.";
+    }
+    return [...undone, ...(conflict ? [conflict] : [])].join("\n");
+  },
+};
+
+// Text for the result of a SheetsService method.
+function present(operation, result) {
+  if (isFailure(result)) {
+    return formatError(result.error);
+  }
+  if (typeof result === "string") {
+    return result;
+  }
+  const formatter = FORMATTERS[operation];
+  return formatter ? formatter(result) : JSON.stringify(result);
+}
+
+// Reply text for a tool call made on behalf of a person, or null while a
+// confirmation prompt is waiting for the user's answer.
+function presentToolResponse(toolResponse) {
+  const { name, response } = toolResponse.functionResponse;
+  if (response.status === "PENDING_CONFIRMATION") {
+    return null;
+  }
+  if (isFailure(response)) {
+    return `Sorry, that didn't work: ${formatError(response.error)}`;
+  }
+  return response.content === undefined
+    ? "Done."
+    : present(name, response.content);
+}
+
+module.exports = { formatItem, formatError, present, presentToolResponse };
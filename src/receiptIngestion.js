@@ -0,0 +1,149 @@
+const { COLUMNS, sameLocation } = require("./inventorySchema");
+const { getText } = require("./agentLoop");
+const { resolveItem } = require("./itemResolver");
+
+// --- Receipt Ingestion ---
+// Turns a photo of a delivery note or supplier invoice into stock receipts.
+// Reading the photo goes through an extractor, any object with
+//   extract(imageBuffer, mimeType) -> { items: [{ name, quantity }] }
+// so the model can be swapped or stubbed. The extracted list is then
+// matched against the inventory and previewed before anything is received.
+
+const EXTRACTION_PROMPT = `This image is a delivery note, packing slip or supplier invoice.
+List every delivered product and the number of units delivered.
+Answer with JSON only, in this shape:
+{"items": [{"name": "product name as printed", "quantity": 5}]}
+Use whole units for quantity (not prices or totals). If the image is not a
+delivery document or nothing can be read, answer {"items": []}.`;
+
+// Parses the model's answer, tolerating a Markdown code fence around it.
+// Returns { items } with invalid entries dropped, or throws when the answer
+// is not JSON at all.
+function parseExtraction(text) {
+  const json = text
+    .trim()
+    .replace(/^```(?:json)?\s*/i, "")
+    .replace(/\s*```$/, "");
+  const parsed = JSON.parse(json);
+  const items = (Array.isArray(parsed.items) ? parsed.items : [])
+    .map((item) => ({
+      name: String(item.name || "").trim(),
+      quantity: Number(item.quantity),
+    }))
+    .filter(
+      (item) => item.name && Number.isFinite(item.quantity) && item.quantity > 0
+    );
+  return { items };
+}
+
+class GeminiReceiptExtractor {
+  // `model` is a Vertex AI generative model that accepts images.
+  constructor(model) {
+    this.model = model;
+  }
+
+  async extract(imageBuffer, mimeType) {
+    const result = await this.model.generateContent({
+      contents: [
+        {
+          role: "user",
+          parts: [
+            {
+              inlineData: { mimeType, data: imageBuffer.toString("base64") },
+            },
+            { text: EXTRACTION_PROMPT },
+          ],
+        },
+      ],
+      generationConfig: { responseMimeType: "application/json" },
+    });
+    return parseExtraction(getText(result.response));
+  }
+}
+
+// Matches extracted lines to inventory items with ./itemResolver, so
+// abbreviated or misread names still match. Lines for the same item are
+// added up. With a `location` (on a sheet with a Location column) stock is
+// received into the items' rows at that location, and items with no row
+// there are skipped. Returns { location, receipts: [{ name, quantity,
+// current }], unknown: [{ name, quantity, suggestions }], elsewhere:
+// [{ name, quantity }] }
+function planReceipt(extractedItems, inventoryItems, location = null) {
+  const receipts = new Map();
+  const unknown = [];
+  const elsewhere = [];
+  extractedItems.forEach(({ name, quantity }) => {
+    const { item: match, suggestions } = resolveItem(inventoryItems, name);
+    if (!match) {
+      unknown.push({ name, quantity, suggestions });
+      return;
+    }
+    const item = location
+      ? inventoryItems.find(
+          (other) =>
+            other[COLUMNS.NAME] === match[COLUMNS.NAME] &&
+            sameLocation(other[COLUMNS.LOCATION], location)
+        )
+      : match;
+    if (!item) {
+      elsewhere.push({ name: match[COLUMNS.NAME], quantity });
+      return;
+    }
+    const key = item[COLUMNS.NAME];
+    const receipt = receipts.get(key) || {
+      name: item[COLUMNS.NAME],
+      quantity: 0,
+      current: item[COLUMNS.QUANTITY],
+    };
+    receipt.quantity += quantity;
+    receipts.set(key, receipt);
+  });
+  return { location, receipts: [...receipts.values()], unknown, elsewhere };
+}
+
+// The last line summarises what confirming will do.
+function formatReceiptPreview(plan) {
+  const lines = [];
+  if (plan.receipts.length > 0) {
+    lines.push("Read from the photo:");
+    plan.receipts.forEach((receipt) =>
+      lines.push(
+        `  ${receipt.name}: +${receipt.quantity} (${receipt.current || 0} → ${
+          Number(receipt.current || 0) + receipt.quantity
+        })`
+      )
+    );
+  }
+  if (plan.unknown.length > 0) {
+    lines.push("Not in the inventory, so skipped (add them first):");
+    plan.unknown.forEach((entry) =>
+      lines.push(
+        `  ${entry.name}: ${entry.quantity}${
+          entry.suggestions.length > 0
+            ? ` (did you mean ${entry.suggestions.join(" or ")}?)`
+            : ""
+        }`
+      )
+    );
+  }
+  if (plan.elsewhere.length > 0) {
+    lines.push(`Not stocked at ${plan.location}, so skipped (add them first):`);
+    plan.elsewhere.forEach((entry) =>
+      lines.push(`  ${entry.name}: ${entry.quantity}`)
+    );
+  }
+  lines.push(
+    `Receive stock for ${plan.receipts.length} item(s)${
+      plan.location ? ` at ${plan.location}` : ""
+    }`
+  );
+  return lines.join("\n");
+}
+
+module.exports = {
+  EXTRACTION_PROMPT,
+  GeminiReceiptExtractor,
+  parseExtraction,
+  planReceipt,
+  formatReceiptPreview,
+};
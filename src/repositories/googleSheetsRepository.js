@@ -0,0 +1,273 @@
+const { google } = require("googleapis");
+const { quoteWorksheetName, cellRange, rowRange } = require("../a1Notation");
+const { ApiCaller } = require("../apiCaller");
+const { COLUMNS, isNumericColumn } = require("../inventorySchema");
+
+// --- Google Sheets Inventory Repository ---
+// Stores the inventory table in one worksheet of a Google Spreadsheet.
+// Requests go through `apiCaller` (see ../apiCaller), shared with the
+// repositories of the other worksheets so they queue together.
+
+const TIMESTAMP_PATTERN = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2})$/;
+const TIMESTAMP_FORMAT = { type: "DATE_TIME", pattern: "yyyy-mm-dd hh:mm:ss" };
+
+// Days since 1899-12-30, the serial number Sheets stores a date as, for a
+// "YYYY-MM-DD HH:MM:SS" timestamp (see formatTimestamp in ../sheetsService).
+function toSerialDate(timestamp) {
+  const [, ...parts] = timestamp.match(TIMESTAMP_PATTERN);
+  const [year, month, day, hour, minute, second] = parts.map(Number);
+  const ms = Date.UTC(year, month - 1, day, hour, minute, second);
+  return ms / (24 * 60 * 60 * 1000) + 25569;
+}
+
+// CellData for spreadsheets.batchUpdate, which does not parse values like
+// the values API does. Numbers go in as numbers only in numeric columns and
+// Last Updated as a date; anything else is text as it is, e.g. an SKU keeps
+// its leading zeros.
+function toCellData(header, value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  if (isNumericColumn(header) && text.trim() !== "" && isFinite(text)) {
+    return { userEnteredValue: { numberValue: Number(text) } };
+  }
+  if (header === COLUMNS.LAST_UPDATED && TIMESTAMP_PATTERN.test(text)) {
+    return {
+      userEnteredValue: { numberValue: toSerialDate(text) },
+      userEnteredFormat: { numberFormat: TIMESTAMP_FORMAT },
+    };
+  }
+  return { userEnteredValue: { stringValue: text } };
+}
+
+// The field mask for writing `cells`: the number format too for dates.
+function cellFields(cells) {
+  return cells.some((cell) => cell.userEnteredFormat)
+    ? "userEnteredValue,userEnteredFormat.numberFormat"
+    : "userEnteredValue";
+}
+
+class GoogleSheetsRepository {
+  constructor(authClient, spreadsheetId, worksheetName, apiCaller = null) {
+    this.authClient = authClient;
+    this.sheets = google.sheets({ version: "v4", auth: authClient });
+    this.spreadsheetId = spreadsheetId;
+    this.worksheetName = worksheetName;
+    this.apiCaller = apiCaller || new ApiCaller("Google Sheets");
+    this.storeKey = `sheets:${spreadsheetId}`;
+    this.sheetId = null;
+  }
+
+  // Another worksheet of the same spreadsheet.
+  forWorksheet(worksheetName) {
+    return new GoogleSheetsRepository(
+      this.authClient,
+      this.spreadsheetId,
+      worksheetName,
+      this.apiCaller
+    );
+  }
+
+  // Verifies access and returns the spreadsheet title.
+  async connect() {
+    const response = await this.apiCaller.call("spreadsheets.get", () =>
+      this.sheets.spreadsheets.get({ spreadsheetId: this.spreadsheetId })
+    );
+    return response.data.properties.title;
+  }
+
+  // Creates the worksheet if the spreadsheet does not have it yet.
+  async ensureWorksheet() {
+    const response = await this.apiCaller.call("spreadsheets.get", () =>
+      this.sheets.spreadsheets.get({
+        spreadsheetId: this.spreadsheetId,
+        fields: "sheets.properties.title",
+      })
+    );
+    const exists = response.data.sheets.some(
+      (sheet) => sheet.properties.title === this.worksheetName
+    );
+    if (exists) {
+      return;
+    }
+    await this.apiCaller.call(
+      "addSheet",
+      () =>
+        this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            requests: [
+              { addSheet: { properties: { title: this.worksheetName } } },
+            ],
+          },
+        }),
+      { idempotent: false }
+    );
+    console.log(`Created worksheet '${this.worksheetName}'.`);
+  }
+
+  // Returns every row of the worksheet, header row first. The range has no
+  // column bounds so columns added to the sheet are picked up automatically.
+  async readRows() {
+    const response = await this.apiCaller.call("values.get", () =>
+      this.sheets.spreadsheets.values.get({
+        spreadsheetId: this.spreadsheetId,
+        range: quoteWorksheetName(this.worksheetName),
+      })
+    );
+    return response.data.values || [];
+  }
+
+  async appendRow(values) {
+    await this.appendRows([values]);
+  }
+
+  // Only the given rows (1-indexed), fetched with one request.
+  async readRowsAt(rowNumbers) {
+    const response = await this.apiCaller.call("values.batchGet", () =>
+      this.sheets.spreadsheets.values.batchGet({
+        spreadsheetId: this.spreadsheetId,
+        ranges: rowNumbers.map((rowNumber) =>
+          rowRange(this.worksheetName, rowNumber)
+        ),
+      })
+    );
+    return response.data.valueRanges.map(
+      (valueRange) => (valueRange.values && valueRange.values[0]) || []
+    );
+  }
+
+  // Adds several rows with a single API call. Never retried: a repeat that
+  // follows a lost response would add the rows twice.
+  async appendRows(rows) {
+    await this.apiCaller.call(
+      "values.append",
+      () =>
+        this.sheets.spreadsheets.values.append({
+          spreadsheetId: this.spreadsheetId,
+          range: quoteWorksheetName(this.worksheetName),
+          valueInputOption: "USER_ENTERED",
+          resource: {
+            values: rows,
+          },
+        }),
+      { idempotent: false }
+    );
+  }
+
+  // Numeric id of the worksheet, needed by structural batchUpdate requests.
+  async getSheetId() {
+    if (this.sheetId === null) {
+      const response = await this.apiCaller.call("spreadsheets.get", () =>
+        this.sheets.spreadsheets.get({
+          spreadsheetId: this.spreadsheetId,
+          fields: "sheets.properties(sheetId,title)",
+        })
+      );
+      const sheet = response.data.sheets.find(
+        (entry) => entry.properties.title === this.worksheetName
+      );
+      if (!sheet) {
+        throw new Error(`Worksheet '${this.worksheetName}' not found.`);
+      }
+      this.sheetId = sheet.properties.sheetId;
+    }
+    return this.sheetId;
+  }
+
+  // Removes a whole row; rows below it move up. rowNumber is 1-indexed.
+  // Never retried: a repeat would delete the row that moved up.
+  async deleteRow(rowNumber) {
+    const sheetId = await this.getSheetId();
+    await this.apiCaller.call(
+      "deleteDimension",
+      () =>
+        this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: {
+            requests: [
+              {
+                deleteDimension: {
+                  range: {
+                    sheetId,
+                    dimension: "ROWS",
+                    startIndex: rowNumber - 1,
+                    endIndex: rowNumber,
+                  },
+                },
+              },
+            ],
+          },
+        }),
+      { idempotent: false }
+    );
+  }
+
+  // updateCells(updates) and appendRows(rows) in one spreadsheets.batchUpdate,
+  // which the API applies entirely or not at all. `headers` (the header
+  // row) decides how each value is sent, see toCellData. Without rows it is
+  // just updateCells. Never retried with rows, as a repeat would add them
+  // twice.
+  async writeBatch(updates, rows, headers) {
+    if (rows.length === 0) {
+      await this.updateCells(updates);
+      return;
+    }
+    const sheetId = await this.getSheetId();
+    const requests = updates.map(({ rowNumber, columnIndex, value }) => {
+      const cell = toCellData(headers[columnIndex], value);
+      return {
+        updateCells: {
+          range: {
+            sheetId,
+            startRowIndex: rowNumber - 1,
+            endRowIndex: rowNumber,
+            startColumnIndex: columnIndex,
+            endColumnIndex: columnIndex + 1,
+          },
+          rows: [{ values: [cell] }],
+          fields: cellFields([cell]),
+        },
+      };
+    });
+    const appended = rows.map((values) =>
+      values.map((value, i) => toCellData(headers[i], value))
+    );
+    requests.push({
+      appendCells: {
+        sheetId,
+        rows: appended.map((values) => ({ values })),
+        fields: cellFields(appended.flat()),
+      },
+    });
+    await this.apiCaller.call(
+      "batchUpdate",
+      () =>
+        this.sheets.spreadsheets.batchUpdate({
+          spreadsheetId: this.spreadsheetId,
+          resource: { requests },
+        }),
+      { idempotent: false }
+    );
+  }
+
+  // updates: [{ rowNumber, columnIndex, value }], rowNumber is 1-indexed
+  // like the sheet itself, columnIndex is 0-indexed.
+  async updateCells(updates) {
+    const data = updates.map(({ rowNumber, columnIndex, value }) => ({
+      range: cellRange(this.worksheetName, rowNumber, columnIndex),
+      values: [[value]],
+    }));
+
+    // Writes fixed values to fixed cells, so repeating it is harmless
+    await this.apiCaller.call("values.batchUpdate", () =>
+      this.sheets.spreadsheets.values.batchUpdate({
+        spreadsheetId: this.spreadsheetId,
+        resource: {
+          valueInputOption: "USER_ENTERED",
+          data: data,
+        },
+      })
+    );
+  }
+}
+
+module.exports = { GoogleSheetsRepository };
@@ -0,0 +1,50 @@
+const { GoogleSheetsRepository } = require("./googleSheetsRepository");
+const { LocalRepository } = require("./localRepository");
+
+// --- Inventory Repositories ---
+// Every backend exposes the same storage operations SheetsService builds on:
+//   connect()              -> title of the backing store, throws if unreachable
+//   readRows()             -> all rows, header row first (readInventory)
+//   readRowsAt(rowNumbers) -> just those rows, [] for rows past the end
+//   appendRow(values)      -> adds one row at the bottom (addRow)
+//   appendRows(rows)       -> adds several rows in one call (bulk import)
+//   updateCells(updates)   -> writes [{ rowNumber, columnIndex, value }] in
+//                             one batch (updateItemQuantity)
+//   deleteRow(rowNumber)   -> removes one row, later rows move up
+//   writeBatch(updates, rows, headers)
+//                          -> updateCells and appendRows in one atomic
+//                             request (transferStock); `headers` is the
+//                             header row the values belong to
+//   ensureWorksheet()      -> creates the worksheet if it does not exist
+//   forWorksheet(name)     -> repository for another worksheet of the same
+//                             store, e.g. the History log
+// and a `storeKey` property that is the same for every repository of one
+// store; writes to a store are queued on it (see ../mutationQueue).
+const BACKENDS = ["sheets", "local"];
+
+function createRepository(options) {
+  switch (options.backend) {
+    case "sheets":
+      return new GoogleSheetsRepository(
+        options.authClient,
+        options.spreadsheetId,
+        options.worksheetName,
+        options.apiCaller
+      );
+    case "local":
+      return new LocalRepository(options.localFile, options.worksheetName);
+    default:
+      throw new Error(
+        `Unknown inventory backend '${
+          options.backend
+        }'. Use one of: ${BACKENDS.join(", ")}.`
+      );
+  }
+}
+
+module.exports = {
+  BACKENDS,
+  createRepository,
+  GoogleSheetsRepository,
+  LocalRepository,
+};
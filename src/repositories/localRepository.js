@@ -0,0 +1,127 @@
+const fs = require("fs");
+const path = require("path");
+const { DEFAULT_HEADERS } = require("../inventorySchema");
+
+const DEFAULT_ROWS = [
+  DEFAULT_HEADERS,
+  ["Laptop", "12", "1200", ""],
+  ["Mouse", "50", "25", ""],
+  ["Keyboard", "30", "45", ""],
+];
+
+// --- Local Inventory Repository ---
+// Offline stand-in for GoogleSheetsRepository. Rows live in memory and, when
+// a file path is given, are persisted to a JSON file keyed by worksheet name
+// so several worksheets can share one file.
+class LocalRepository {
+  constructor(filePath, worksheetName, initialRows = DEFAULT_ROWS, memory) {
+    this.filePath = filePath;
+    this.worksheetName = worksheetName;
+    this.initialRows = initialRows;
+    // Shared with sibling worksheets when running without a file
+    this.memory = memory || { workbook: {} };
+    this.storeKey = filePath ? `local:${path.resolve(filePath)}` : this.memory;
+  }
+
+  // Another worksheet stored alongside this one.
+  forWorksheet(worksheetName, initialRows = []) {
+    return new LocalRepository(
+      this.filePath,
+      worksheetName,
+      initialRows,
+      this.memory
+    );
+  }
+
+  loadWorkbook() {
+    if (!this.filePath) {
+      return this.memory.workbook;
+    }
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+  }
+
+  saveWorkbook(workbook) {
+    if (!this.filePath) {
+      this.memory.workbook = workbook;
+      return;
+    }
+    fs.writeFileSync(this.filePath, JSON.stringify(workbook, null, 2));
+  }
+
+  getRows(workbook) {
+    if (!workbook[this.worksheetName]) {
+      workbook[this.worksheetName] = this.initialRows.map((row) => [...row]);
+    }
+    return workbook[this.worksheetName];
+  }
+
+  async connect() {
+    const workbook = this.loadWorkbook();
+    this.getRows(workbook);
+    this.saveWorkbook(workbook);
+    return this.filePath
+      ? `Local file ${this.filePath}`
+      : "In-memory inventory";
+  }
+
+  async ensureWorksheet() {
+    await this.connect();
+  }
+
+  // Values are stored as strings, matching what the Sheets API returns.
+  async readRows() {
+    return this.getRows(this.loadWorkbook()).map((row) => [...row]);
+  }
+
+  async readRowsAt(rowNumbers) {
+    const rows = await this.readRows();
+    return rowNumbers.map((rowNumber) => rows[rowNumber - 1] || []);
+  }
+
+  async appendRow(values) {
+    await this.appendRows([values]);
+  }
+
+  async appendRows(rows) {
+    const workbook = this.loadWorkbook();
+    const stored = this.getRows(workbook);
+    rows.forEach((values) => stored.push(values.map((value) => String(value))));
+    this.saveWorkbook(workbook);
+  }
+
+  async updateCells(updates) {
+    await this.writeBatch(updates, []);
+  }
+
+  // Both saved with one write of the file. Values are stored as text, so
+  // the headers are not needed.
+  async writeBatch(updates, newRows) {
+    const workbook = this.loadWorkbook();
+    const rows = this.getRows(workbook);
+    updates.forEach(({ rowNumber, columnIndex, value }) => {
+      while (rows.length < rowNumber) {
+        rows.push([]);
+      }
+      const row = rows[rowNumber - 1];
+      while (row.length <= columnIndex) {
+        row.push("");
+      }
+      row[columnIndex] = String(value);
+    });
+    newRows.forEach((values) =>
+      rows.push(values.map((value) => String(value)))
+    );
+    this.saveWorkbook(workbook);
+  }
+
+  async deleteRow(rowNumber) {
+    const workbook = this.loadWorkbook();
+    this.getRows(workbook).splice(rowNumber - 1, 1);
+    this.saveWorkbook(workbook);
+  }
+}
+
+module.exports = { LocalRepository, DEFAULT_ROWS };
@@ -0,0 +1,29 @@
+// --- Results ---
+// SheetsService operations resolve to plain objects rather than sentences:
+// the data on success, or { error: { code, message, details } } on failure,
+// the same shape the tool registry uses for its own errors. Gemini gets
+// these objects as they are; ./presenter turns them into text for people.
+
+const ERROR_CODES = {
+  NOT_FOUND: "NOT_FOUND", // No such item; details list close names
+  MISSING_HEADERS: "MISSING_HEADERS", // The sheet lacks a needed column
+  API_ERROR: "API_ERROR", // Reading or writing the spreadsheet failed
+  PERMISSION_DENIED: "PERMISSION_DENIED", // The spreadsheet is not shared
+  VALIDATION: "VALIDATION", // The request or a cell value is invalid
+  ALREADY_EXISTS: "ALREADY_EXISTS", // addRow for an item already listed
+  INSUFFICIENT_STOCK: "INSUFFICIENT_STOCK", // Would go below zero
+  CONFLICT: "CONFLICT", // Blocked by a later change or a sheet edit
+  UNAVAILABLE: "UNAVAILABLE", // The feature is not enabled
+};
+
+function failure(code, message, details) {
+  return {
+    error: { code, message, ...(details !== undefined && { details }) },
+  };
+}
+
+function isFailure(result) {
+  return Boolean(result && result.error);
+}
+
+module.exports = { ERROR_CODES, failure, isFailure };
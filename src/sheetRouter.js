@@ -0,0 +1,146 @@
+const fs = require("fs");
+const { isFailure } = require("./results");
+
+// --- Chat Spreadsheets ---
+// Which spreadsheet each Telegram chat works on. A chat is bound to one with
+// /connect and otherwise uses the default spreadsheet from the
+// configuration. Bindings are stored in a JSON file. Chats on the same
+// worksheet share one workspace: the SheetsService and the tools, alerts
+// and digests built on it, opened on first use by `openWorkspace`.
+//
+// A target describes a worksheet as ./config does: { name, spreadsheetId,
+// worksheetName, historyWorksheetName, localFile }.
+
+function targetKey(target) {
+  return `${target.spreadsheetId || target.localFile}/${target.worksheetName}`;
+}
+
+// "'Shop' (worksheet Sheet1)", or the name or id while the title is unknown.
+function describeTarget(target, title) {
+  const spreadsheet = title
+    ? `'${title}'`
+    : `spreadsheet ${target.name || target.spreadsheetId}`;
+  return `${spreadsheet} (worksheet ${target.worksheetName})`;
+}
+
+// Reply when a chat's spreadsheet cannot be opened.
+function formatUnavailable(failure) {
+  return `Sorry, this chat's spreadsheet can't be used right now: ${failure.error.message} An admin can /connect another one or /disconnect to go back to the default.`;
+}
+
+class SheetRouter {
+  // options: { defaultTarget, resolveTarget(reference, worksheetName),
+  // openWorkspace(target) } where resolveTarget turns what a user typed into
+  // a target (null if invalid) and openWorkspace resolves to a workspace,
+  // or to a failure (see ./results) when the spreadsheet cannot be used.
+  constructor(filePath, options) {
+    this.filePath = filePath;
+    this.defaultTarget = options.defaultTarget;
+    this.resolveTarget = options.resolveTarget;
+    this.openWorkspace = options.openWorkspace;
+    this.bindings = this.load();
+    this.workspaces = new Map(); // targetKey -> promise of a workspace
+  }
+
+  load() {
+    if (!this.filePath || !fs.existsSync(this.filePath)) {
+      return {};
+    }
+    return JSON.parse(fs.readFileSync(this.filePath, "utf8")).bindings || {};
+  }
+
+  save() {
+    if (this.filePath) {
+      fs.writeFileSync(
+        this.filePath,
+        JSON.stringify({ bindings: this.bindings }, null, 2)
+      );
+    }
+  }
+
+  // { target, connectedBy, connectedAt }, or null for the default sheet.
+  getBinding(chatId) {
+    return this.bindings[String(chatId)] || null;
+  }
+
+  getTarget(chatId) {
+    const binding = this.getBinding(chatId);
+    return binding ? binding.target : this.defaultTarget;
+  }
+
+  isDefault(target) {
+    return targetKey(target) === targetKey(this.defaultTarget);
+  }
+
+  // Each worksheet is opened once. A failure is not remembered, so the
+  // next request tries again, e.g. once the sheet has been shared.
+  open(target) {
+    const key = targetKey(target);
+    if (!this.workspaces.has(key)) {
+      const forget = () => this.workspaces.delete(key);
+      const opening = Promise.resolve()
+        .then(() => this.openWorkspace(target))
+        .then(
+          (workspace) => {
+            if (isFailure(workspace)) {
+              forget();
+            }
+            return workspace;
+          },
+          (err) => {
+            forget();
+            throw err;
+          }
+        );
+      this.workspaces.set(key, opening);
+    }
+    return this.workspaces.get(key);
+  }
+
+  // The chat's workspace, or a failure when its spreadsheet is unusable.
+  forChat(chatId) {
+    return this.open(this.getTarget(chatId));
+  }
+
+  // Binds the chat once the target has been opened; binding the default
+  // target removes the chat's binding. Resolves to the workspace, or to the
+  // failure leaving the binding as it was.
+  async connect(chatId, target, actor) {
+    const workspace = await this.open(target);
+    if (isFailure(workspace)) {
+      return workspace;
+    }
+    if (this.isDefault(target)) {
+      delete this.bindings[String(chatId)];
+    } else {
+      this.bindings[String(chatId)] = {
+        target,
+        connectedBy: actor,
+        connectedAt: new Date().toISOString(),
+      };
+    }
+    this.save();
+    return workspace;
+  }
+
+  // Opens every bound spreadsheet so their alerts and digests run without
+  // waiting for a message. One that cannot be opened is only logged.
+  async openBound() {
+    for (const { target } of Object.values(this.bindings)) {
+      const workspace = await this.open(target);
+      if (isFailure(workspace)) {
+        console.error(
+          `Could not open ${describeTarget(target)}:`,
+          workspace.error.message
+        );
+      }
+    }
+  }
+}
+
+module.exports = {
+  SheetRouter,
+  targetKey,
+  describeTarget,
+  formatUnavailable,
+};
@@ -0,0 +1,1867 @@
+const crypto = require("crypto");
+const EventEmitter = require("events");
+const {
+  COLUMNS,
+  DEFAULT_HEADERS,
+  MANAGED_COLUMNS,
+  missingColumns,
+  rowToItem,
+  sameLocation,
+  combineLocations,
+  toTypedItem,
+} = require("./inventorySchema");
+const { ERROR_CODES, failure, isFailure } = require("./results");
+const { planImport } = require("./bulkImport");
+const { normalizeItemName } = require("./itemNames");
+const { resolveItem, formatNotFound } = require("./itemResolver");
+const { DEFAULT_HISTORY_LIMIT, UNDO_TOOL } = require("./auditLog");
+const {
+  errorStatus,
+  isTransientError,
+  TRY_AGAIN_LATER_MESSAGE,
+} = require("./apiCaller");
+const { mutationQueueFor } = require("./mutationQueue");
+const { InventoryCache } = require("./inventoryCache");
+
+// --- Sheets Service Class ---
+// Inventory logic shared by the Telegram bot and the CLI. Storage goes
+// through a repository (see ./repositories) so the same code runs against a
+// Google Sheet or an offline local table. Columns are addressed by header
+// name; the header row is discovered when connecting.
+//
+// Reads go through an InventoryCache (see ./inventoryCache); options.
+// cacheTtlMs sets how long a snapshot of the sheet is reused.
+//
+// When the sheet has a Location column, an item can have one row per
+// location, e.g. "Laptop" in the shop and in the back room. Methods that
+// change an item take an optional `location` picking the row; it is
+// required once the item is stocked at more than one location.
+//
+// Mutating methods take an optional trailing `context`
+// ({ actor, session, tool }) that is written to the audit log. Every change
+// is also emitted as a "change" event with the audit log entry.
+
+// Most changes a single undo request may revert.
+const MAX_UNDO_STEPS = 10;
+
+// What addRow does when the item already exists: "increment" adds the
+// quantity to it, "refuse" leaves it alone, and "ask" leaves it alone and
+// tells the assistant to check with the user first.
+const ADD_MODES = ["ask", "increment", "refuse"];
+
+// How often a write is planned again when its rows change underneath it
+// (see writeVerified) before it is reported as a conflict.
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Location of the row a history entry changed, "" when it has none.
+function entryLocation(entry) {
+  return (
+    entry.beforeImage[COLUMNS.LOCATION] ??
+    entry.newValues[COLUMNS.LOCATION] ??
+    ""
+  );
+}
+
+// Undoable history entries (newest first) grouped into undo steps: the two
+// entries of a stock transfer are one step.
+function undoSteps(entries) {
+  const steps = [];
+  const transfers = new Map();
+  entries.forEach((entry) => {
+    if (!entry.transfer) {
+      steps.push([entry]);
+      return;
+    }
+    if (!transfers.has(entry.transfer)) {
+      transfers.set(entry.transfer, []);
+      steps.push(transfers.get(entry.transfer));
+    }
+    transfers.get(entry.transfer).push(entry);
+  });
+  return steps;
+}
+
+// A CONFLICT failure if `item` no longer holds the values `entry` wrote.
+function undoConflict(entry, item, label) {
+  const differences = Object.entries(entry.newValues)
+    .filter(([header, value]) => String(item[header]) !== String(value))
+    .map(
+      ([header, value]) =>
+        `${header} is now ${item[header] || "(empty)"}, expected ${value}`
+    );
+  return differences.length > 0
+    ? failure(
+        ERROR_CODES.CONFLICT,
+        `Cannot undo ${label}: the row has been changed since (${differences.join(
+          "; "
+        )}).`
+      )
+    : null;
+}
+
+// The values `entry` changed, as they were before.
+function restoredValues(entry) {
+  const restore = {};
+  Object.keys(entry.newValues).forEach((header) => {
+    restore[header] =
+      entry.beforeImage[header] ?? entry.oldValues[header] ?? "";
+  });
+  return restore;
+}
+
+// The header row with `header` at its end if it is missing, as a copy, for
+// planning a write that adds the column. The column itself is only created
+// by ensureColumn() in the write step, once the rows have been verified.
+function withColumn(headers, header) {
+  return headers.includes(header) ? headers : [...headers, header];
+}
+
+// updateCells entries writing `values` (keyed by header) to one row,
+// skipping headers the sheet does not have.
+function cellUpdates(headers, rowNumber, values) {
+  return Object.entries(values)
+    .filter(([header]) => headers.includes(header))
+    .map(([header, value]) => ({
+      rowNumber,
+      columnIndex: headers.indexOf(header),
+      value,
+    }));
+}
+
+// The Sheets API leaves out trailing empty cells, so [a, ""] equals [a].
+// Given the `headers`, the managed columns are not compared: the sheet
+// reads timestamps back in its own date format.
+function isSameRow(a = [], b = [], headers = []) {
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i++) {
+    if (
+      !MANAGED_COLUMNS.includes(headers[i]) &&
+      String(a[i] ?? "") !== String(b[i] ?? "")
+    ) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// The item's quantity as a number (an empty cell counts as 0), or a
+// VALIDATION failure when the cell holds something else.
+function parseQuantity(item) {
+  const value = item[COLUMNS.QUANTITY];
+  const quantity = value === "" ? 0 : Number(value);
+  return Number.isNaN(quantity)
+    ? failure(
+        ERROR_CODES.VALIDATION,
+        `Quantity of '${item[COLUMNS.NAME]}' is not a number ('${value}').`
+      )
+    : quantity;
+}
+
+// API_ERROR failure for `err`. When Google was only busy or unreachable
+// (see ./apiCaller) the message says so and `details.retryable` is true.
+function apiFailure(err, message) {
+  const retryable = isTransientError(err);
+  return failure(
+    ERROR_CODES.API_ERROR,
+    retryable ? `${message} ${TRY_AGAIN_LATER_MESSAGE}` : message,
+    { retryable }
+  );
+}
+
+// Failure for an error while connecting to the repository's spreadsheet,
+// or reading its worksheet once the spreadsheet `title` is known.
+function connectionFailure(err, repository, title) {
+  const status = errorStatus(err);
+  const spreadsheet = title
+    ? `'${title}'`
+    : `spreadsheet ${repository.spreadsheetId}`;
+  if (status === 403) {
+    return failure(
+      ERROR_CODES.PERMISSION_DENIED,
+      `No access to ${spreadsheet}. Please share it with the service account as an Editor.`
+    );
+  }
+  if (status === 404) {
+    return failure(
+      ERROR_CODES.NOT_FOUND,
+      `Spreadsheet ${repository.spreadsheetId} was not found. Check the id in its URL.`
+    );
+  }
+  // The Sheets API rejects a range naming a worksheet that does not exist
+  if (status === 400 && title) {
+    return failure(
+      ERROR_CODES.NOT_FOUND,
+      `${spreadsheet} has no worksheet '${repository.worksheetName}'.`
+    );
+  }
+  return apiFailure(err, `Could not connect to ${spreadsheet}: ${err.message}`);
+}
+
+function missingHeadersFailure(headers, missing) {
+  return failure(
+    ERROR_CODES.MISSING_HEADERS,
+    `Missing expected column(s) ${missing.join(
+      ", "
+    )} in your sheet headers. Available columns: ${headers.join(", ")}.`,
+    { missing, available: headers }
+  );
+}
+
+function formatTimestamp(date = new Date()) {
+  return date
+    .toLocaleString("en-CA", {
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hour12: false,
+    })
+    .replace(/,/, "");
+}
+
+class SheetsService extends EventEmitter {
+  constructor(repository, options = {}) {
+    super();
+    this.repository = repository;
+    this.auditLog = options.auditLog || null;
+    // Used for items without a Reorder Level, see getLowStockItems()
+    this.defaultReorderLevel =
+      options.defaultReorderLevel === undefined
+        ? null
+        : options.defaultReorderLevel;
+    this.headers = null;
+    this.mutationQueue = mutationQueueFor(repository.storeKey);
+    this.cache = new InventoryCache(repository, options.cacheTtlMs);
+  }
+
+  // Verifies access to the spreadsheet and reads the header row. Resolves
+  // to { title, headers }, or a failure explaining what to fix, so a bad
+  // spreadsheet id sent by a user does not take the process down.
+  async connect() {
+    let title;
+    try {
+      title = await this.repository.connect();
+    } catch (err) {
+      return connectionFailure(err, this.repository);
+    }
+    try {
+      await this.loadHeaders();
+      if (this.auditLog) {
+        await this.auditLog.init();
+      }
+    } catch (err) {
+      return connectionFailure(err, this.repository, title);
+    }
+    console.log(`Connected to Spreadsheet: ${title}`);
+    return { title, headers: this.headers };
+  }
+
+  // Reads the header row, writing the default one to an empty sheet.
+  async loadHeaders() {
+    const rows = await this.readRows({ fresh: true });
+    if (rows.length === 0) {
+      await this.appendRows([DEFAULT_HEADERS]);
+      this.headers = [...DEFAULT_HEADERS];
+    } else {
+      this.headers = rows[0];
+    }
+    console.log(`Inventory columns: ${this.headers.join(", ")}`);
+    return this.headers;
+  }
+
+  async getHeaders() {
+    return this.headers || this.loadHeaders();
+  }
+
+  // --- Storage ---
+  // The inventory worksheet is read and written through these, so that the
+  // cache stays in step with the sheet.
+
+  // options: { fresh } - true to read the sheet even if the cached snapshot
+  // is recent enough
+  async readRows(options = {}) {
+    return this.cache.getRows(options);
+  }
+
+  async writeCells(updates) {
+    await this.writeThrough(
+      () => this.repository.updateCells(updates),
+      () => this.cache.applyUpdates(updates)
+    );
+  }
+
+  async appendRows(rows) {
+    await this.writeThrough(
+      () => this.repository.appendRows(rows),
+      () => this.cache.applyAppend(rows)
+    );
+  }
+
+  async removeRow(rowNumber) {
+    await this.writeThrough(
+      () => this.repository.deleteRow(rowNumber),
+      () => this.cache.applyDelete(rowNumber)
+    );
+  }
+
+  // Cell updates and new rows written with one request, so that either
+  // all of them reach the sheet or none do. `headers` is the header row.
+  async writeBatch(updates, rows, headers) {
+    await this.writeThrough(
+      () => this.repository.writeBatch(updates, rows, headers),
+      () => {
+        this.cache.applyUpdates(updates);
+        this.cache.applyAppend(rows);
+      }
+    );
+  }
+
+  // A write that fails may or may not have reached the sheet, so the cache
+  // is dropped rather than patched.
+  async writeThrough(write, patch) {
+    try {
+      await write();
+    } catch (err) {
+      this.cache.invalidate();
+      throw err;
+    }
+    patch();
+  }
+
+  // Drops the cached snapshot and reads the sheet again, for edits made
+  // directly in the sheet. Resolves to { itemCount }.
+  async refresh() {
+    console.log("\n--- Refreshing the inventory from the sheet ---");
+    try {
+      const rows = await this.readRows({ fresh: true });
+      this.headers = rows.length > 0 ? rows[0] : this.headers;
+      return { itemCount: Math.max(rows.length - 1, 0) };
+    } catch (err) {
+      console.error("The API returned an error refreshing data:", err.message);
+      return apiFailure(err, "Failed to refresh the inventory.");
+    }
+  }
+
+  // { items } with numeric columns as numbers (see toTypedItem). Given a
+  // `location`, just the rows at that location; with `aggregate`, one item
+  // per name with its stock at every location added up (see
+  // combineLocations). Both need a Location column.
+  async readInventory(location = null, aggregate = false) {
+    console.log("\n--- Reading Current Inventory ---");
+    try {
+      let items = await this.getItems();
+      if (location || aggregate) {
+        const headers = this.headers || [];
+        if (!headers.includes(COLUMNS.LOCATION)) {
+          return missingHeadersFailure(headers, [COLUMNS.LOCATION]);
+        }
+        items = location
+          ? items.filter((item) =>
+              sameLocation(item[COLUMNS.LOCATION], location)
+            )
+          : combineLocations(items);
+      }
+      return {
+        items: items.map(toTypedItem),
+        ...(location ? { location } : aggregate && { aggregated: true }),
+      };
+    } catch (err) {
+      console.error("The API returned an error reading data:", err.message);
+      return apiFailure(err, "Failed to read inventory.");
+    }
+  }
+
+  // { query, items }: the items with `text` in any of their cells, ignoring
+  // case.
+  async searchInventory(text) {
+    console.log(`\n--- Searching inventory for: ${text} ---`);
+    try {
+      const needle = text.toLowerCase();
+      const items = (await this.getItems()).filter((item) =>
+        Object.values(item).some((value) =>
+          String(value).toLowerCase().includes(needle)
+        )
+      );
+      return { query: text, items: items.map(toTypedItem) };
+    } catch (err) {
+      console.error("The API returned an error searching data:", err.message);
+      return apiFailure(err, "Failed to search inventory.");
+    }
+  }
+
+  // All items as objects keyed by header.
+  async getItems() {
+    const rows = await this.readRows();
+    if (rows.length === 0) {
+      return [];
+    }
+    this.headers = rows[0];
+    return rows.slice(1).map((row) => rowToItem(this.headers, row));
+  }
+
+  // Items whose quantity is at or below their reorder level: the Reorder
+  // Level column when the sheet has one and the cell is filled, otherwise
+  // the service's default level (no default means such items are skipped).
+  // With a Location column, an item's stock at all locations counts.
+  async getLowStockItems() {
+    const items = await this.getItems();
+    return (
+      (this.headers || []).includes(COLUMNS.LOCATION)
+        ? combineLocations(items)
+        : items
+    )
+      .map((item) => {
+        const level = item[COLUMNS.REORDER_LEVEL];
+        return {
+          name: item[COLUMNS.NAME],
+          quantity: Number(item[COLUMNS.QUANTITY]),
+          reorderLevel: level ? Number(level) : this.defaultReorderLevel,
+        };
+      })
+      .filter(
+        (item) =>
+          item.name &&
+          Number.isFinite(item.quantity) &&
+          Number.isFinite(item.reorderLevel) &&
+          item.quantity <= item.reorderLevel
+      );
+  }
+
+  // { items: [{ name, quantity, reorderLevel }] }
+  async listLowStock() {
+    console.log("\n--- Listing low-stock items ---");
+    try {
+      return { items: await this.getLowStockItems() };
+    } catch (err) {
+      console.error("The API returned an error reading data:", err.message);
+      return apiFailure(err, "Failed to read inventory.");
+    }
+  }
+
+  // details: extra column values keyed by header, e.g. { SKU: "LP-01" }
+  // mode: what to do when the item already exists (see ADD_MODES), where
+  // "Laptops" or " laptop" count as the existing "Laptop". With a Location
+  // in `details`, only a row at that location counts, so adding an item at
+  // a new location adds a row for it. Without one, "increment" is refused
+  // for an item stocked at several locations, as the other writes are.
+  // Resolves to { item, previous } like writeItemFields, with `previous`
+  // null when a new row was added.
+  async addRow(
+    itemName,
+    quantity,
+    price,
+    details = {},
+    mode = "refuse",
+    context = {}
+  ) {
+    console.log(`\n--- Attempting to add new item: ${itemName} (${mode}) ---`);
+    try {
+      return await this.runExclusive(async () => {
+        const headers = await this.getHeaders();
+        // Fresh, so an item just added in the sheet is not added twice
+        const rows = await this.readRows({ fresh: true });
+        const timestamp = formatTimestamp();
+        const fields = {
+          ...details,
+          [COLUMNS.NAME]: itemName,
+          [COLUMNS.QUANTITY]: quantity,
+          [COLUMNS.PRICE]: price,
+        };
+
+        const unknown = Object.keys(details).filter(
+          (header) => !headers.includes(header)
+        );
+        if (unknown.length > 0) {
+          return failure(
+            ERROR_CODES.VALIDATION,
+            `Unknown column(s) ${unknown.join(
+              ", "
+            )}. Available columns: ${headers.join(", ")}.`,
+            unknown.map((header) => ({
+              field: header,
+              message: "is not a column of the sheet",
+            }))
+          );
+        }
+
+        const existing =
+          rows.length > 0 &&
+          this.findMatchingItemRow(rows, itemName, fields[COLUMNS.LOCATION]);
+        if (existing) {
+          // Adding to an item stocked at several locations needs one
+          const target =
+            mode === "increment"
+              ? this.resolveLocation(
+                  rows,
+                  existing,
+                  fields[COLUMNS.LOCATION] || null
+                )
+              : existing;
+          if (isFailure(target)) {
+            return target;
+          }
+          return this.addToExisting(
+            rowToItem(rows[0], target.row),
+            quantity,
+            mode,
+            context
+          );
+        }
+
+        const row = { ...fields, [COLUMNS.LAST_UPDATED]: timestamp };
+        const values = headers.map((header) =>
+          row[header] === undefined ? "" : row[header]
+        );
+        await this.appendRows([values]);
+        await this.recordChange(context, "addRow", {
+          timestamp,
+          item: itemName,
+          oldValues: {},
+          newValues: fields,
+        });
+        return {
+          item: toTypedItem(rowToItem(headers, values)),
+          previous: null,
+        };
+      });
+    } catch (err) {
+      console.error("The API returned an error adding row:", err.message);
+      return apiFailure(err, `Failed to add '${itemName}'.`);
+    }
+  }
+
+  // addRow for an item that is already in the sheet. Runs inside
+  // runExclusive.
+  async addToExisting(item, quantity, mode, context) {
+    const name = item[COLUMNS.NAME];
+    const location = item[COLUMNS.LOCATION];
+    if (mode !== "increment") {
+      const exists = `'${name}' is already in the inventory${
+        location ? ` at ${location}` : ""
+      } (quantity ${item[COLUMNS.QUANTITY]}), so nothing was added`;
+      return failure(
+        ERROR_CODES.ALREADY_EXISTS,
+        mode === "ask"
+          ? `${exists} yet. Ask the user whether to add ${quantity} to it (call addRow again with mode "increment") or leave it unchanged.`
+          : `${exists}.`,
+        { item: toTypedItem(item) }
+      );
+    }
+    return this.writeItemFields(
+      name,
+      (latest) => {
+        const current = parseQuantity(latest);
+        return isFailure(current)
+          ? current
+          : { [COLUMNS.QUANTITY]: current + quantity };
+      },
+      {
+        reason: `Added ${quantity} more`,
+        context,
+        operation: "addRow",
+        location,
+      }
+    );
+  }
+
+  // Current values of the item `itemName` resolves to (see resolveItemRow),
+  // or null if it does not resolve.
+  async findItem(itemName, location = null) {
+    const rows = await this.readRows();
+    if (rows.length === 0) {
+      return null;
+    }
+    const match = this.resolveItemRow(rows, itemName, location);
+    return isFailure(match) ? null : rowToItem(rows[0], match.row);
+  }
+
+  // Finds the sheet row of an item, the one at `location` when given and
+  // the sheet has a Location column. Returns { rowNumber, row } (rowNumber
+  // is 1-indexed like the sheet) or null when the item does not exist.
+  findItemRow(rows, itemName, location = null) {
+    return this.pickRow(
+      rows,
+      this.cache.index(rows).exact.get(String(itemName).toLowerCase()),
+      location
+    );
+  }
+
+  // Like findItemRow, but also matches the name with different case,
+  // spacing or a plural ending (see ./itemNames).
+  findMatchingItemRow(rows, itemName, location = null) {
+    return (
+      this.findItemRow(rows, itemName, location) ||
+      this.pickRow(
+        rows,
+        this.cache.index(rows).normalized.get(normalizeItemName(itemName)),
+        location
+      )
+    );
+  }
+
+  // The first of `rowNumbers` at `location` (at any location without one)
+  // as { rowNumber, row }, or null.
+  pickRow(rows, rowNumbers = [], location = null) {
+    const locationIndex = location ? rows[0].indexOf(COLUMNS.LOCATION) : -1;
+    const rowNumber = rowNumbers.find(
+      (number) =>
+        locationIndex === -1 ||
+        sameLocation(rows[number - 1][locationIndex], location)
+    );
+    return rowNumber ? { rowNumber, row: rows[rowNumber - 1] } : null;
+  }
+
+  // Finds the row of the item a possibly misspelled or aliased name refers
+  // to (see ./itemResolver), at `location` (see resolveLocation). Returns
+  // { rowNumber, row }, or a failure: NOT_FOUND listing the closest items
+  // when there is no single confident match.
+  resolveItemRow(rows, itemName, location = null) {
+    const exact = this.findItemRow(rows, itemName);
+    if (exact) {
+      return this.resolveLocation(rows, exact, location);
+    }
+    const items = rows.slice(1).map((row) => rowToItem(rows[0], row));
+    const { index, suggestions } = resolveItem(items, itemName);
+    if (index === undefined) {
+      return failure(
+        ERROR_CODES.NOT_FOUND,
+        formatNotFound(itemName, suggestions),
+        { suggestions }
+      );
+    }
+    return this.resolveLocation(
+      rows,
+      { rowNumber: index + 2, row: rows[index + 1] },
+      location
+    );
+  }
+
+  // The row of the matched item at `location`. Without a location it is
+  // `match` itself, unless the item is stocked at several locations and
+  // the caller has to say which one.
+  resolveLocation(rows, match, location) {
+    const headers = rows[0];
+    const locationIndex = headers.indexOf(COLUMNS.LOCATION);
+    if (locationIndex === -1) {
+      return location
+        ? missingHeadersFailure(headers, [COLUMNS.LOCATION])
+        : match;
+    }
+    const name = match.row[headers.indexOf(COLUMNS.NAME)];
+    const stocked = (
+      this.cache.index(rows).exact.get(name.toLowerCase()) || [match.rowNumber]
+    ).map((rowNumber) => ({ rowNumber, row: rows[rowNumber - 1] }));
+    const locations = stocked.map(({ row }) => {
+      const item = toTypedItem(rowToItem(headers, row));
+      return {
+        location: item[COLUMNS.LOCATION] || "",
+        quantity: item[COLUMNS.QUANTITY],
+      };
+    });
+    const listed = locations
+      .map(
+        ({ location: where, quantity }) =>
+          `${where || "(no location)"}: ${quantity ?? 0}`
+      )
+      .join(", ");
+
+    if (!location) {
+      const distinct = new Set(
+        locations.map(({ location: where }) => where.trim().toLowerCase())
+      );
+      return distinct.size <= 1
+        ? match
+        : failure(
+            ERROR_CODES.VALIDATION,
+            `'${name}' is stocked at several locations (${listed}). Say which location.`,
+            { locations }
+          );
+    }
+    return (
+      stocked.find(({ row }) => sameLocation(row[locationIndex], location)) ||
+      failure(
+        ERROR_CODES.NOT_FOUND,
+        `'${name}' has no row for location '${location}'. It is stocked at: ${listed}.`,
+        { locations }
+      )
+    );
+  }
+
+  async findMatchingItem(itemName, location = null) {
+    const rows = await this.readRows();
+    const match =
+      rows.length > 0 && this.findMatchingItemRow(rows, itemName, location);
+    return match ? rowToItem(rows[0], match.row) : null;
+  }
+
+  // Runs `task` after every earlier mutation of the spreadsheet has
+  // finished (see ./mutationQueue).
+  runExclusive(task) {
+    return this.mutationQueue.run(task);
+  }
+
+  // Guards a write addressed by row numbers against rows that moved or
+  // changed since they were read, e.g. because someone sorted the sheet,
+  // inserted a row or edited the item by hand. `plan(rows)` gets the rows
+  // (cached unless options.fresh) and resolves to a result or failure to
+  // return as it is, or to { expected, write } where `expected` lists the
+  // [{ rowNumber, row }] that `write()` relies on. Just those rows and the
+  // header row are read again before writing; if any differs, the cache
+  // is dropped and the write planned again from a full read, up to
+  // MAX_WRITE_ATTEMPTS times before giving up with a CONFLICT failure.
+  // Callers must hold the mutation queue.
+  async writeVerified(description, plan, options = {}) {
+    let fresh = Boolean(options.fresh);
+    for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+      const rows = await this.readRows({ fresh });
+      const planned = await plan(rows);
+      if (!planned || typeof planned.write !== "function") {
+        return planned;
+      }
+      const expected = [{ rowNumber: 1, row: rows[0] }, ...planned.expected];
+      const current = await this.repository.readRowsAt(
+        expected.map(({ rowNumber }) => rowNumber)
+      );
+      const moved = expected.find(
+        ({ row }, i) =>
+          !isSameRow(current[i], row, i === 0 ? undefined : rows[0])
+      );
+      if (!moved) {
+        return planned.write();
+      }
+      console.warn(
+        `Row ${moved.rowNumber} changed while ${description} (attempt ${attempt} of ${MAX_WRITE_ATTEMPTS}).`
+      );
+      this.cache.invalidate();
+      fresh = true;
+    }
+    return failure(
+      ERROR_CODES.CONFLICT,
+      `The sheet kept changing while ${description}, so nothing was written. Please check the sheet and try again.`
+    );
+  }
+
+  // Adds a header cell at the end of the header row if it is missing.
+  async ensureColumn(headers, header) {
+    if (headers.includes(header)) {
+      return headers.indexOf(header);
+    }
+    await this.writeCells([
+      { rowNumber: 1, columnIndex: headers.length, value: header },
+    ]);
+    headers.push(header);
+    console.log(`Added '${header}' column to the sheet.`);
+    return headers.length - 1;
+  }
+
+  // Appends to the audit log. A failure here is logged but does not undo or
+  // fail the change itself, which has already been written.
+  async recordChange(context, operation, entry) {
+    this.emit("change", { ...entry, tool: context.tool || operation });
+    if (!this.auditLog) {
+      return;
+    }
+    try {
+      await this.auditLog.record({
+        ...entry,
+        actor: context.actor,
+        session: context.session,
+        tool: context.tool || operation,
+      });
+    } catch (err) {
+      console.error("Failed to record change in history:", err.message);
+    }
+  }
+
+  // Like recordChange() for several entries, written with one append.
+  async recordChanges(context, operation, entries) {
+    const tool = context.tool || operation;
+    entries.forEach((entry) => this.emit("change", { ...entry, tool }));
+    if (!this.auditLog || entries.length === 0) {
+      return;
+    }
+    try {
+      await this.auditLog.recordMany(
+        entries.map((entry) => ({
+          ...entry,
+          actor: context.actor,
+          session: context.session,
+          tool,
+        }))
+      );
+    } catch (err) {
+      console.error("Failed to record changes in history:", err.message);
+    }
+  }
+
+  // Writes changes (keyed by header) to one item, stamping Last Updated and,
+  // when given, the reason for the change. `changes` may be a function of
+  // the current item returning the changes or a failure (see ./results).
+  // options: { reason, context, operation, reverts, exact, location } where
+  // `exact` turns off the name resolution of resolveItemRow and `location`
+  // picks the item's row at that location.
+  // Resolves to a failure, or to { item, previous }: the updated item and
+  // the values the changed columns held before, both typed (toTypedItem).
+  // Callers must hold the mutation queue (see runExclusive).
+  async writeItemFields(itemName, changes, options = {}) {
+    return this.writeVerified(`updating '${itemName}'`, async (rows) => {
+      if (rows.length === 0) {
+        return failure(
+          ERROR_CODES.NOT_FOUND,
+          `Item '${itemName}' not found (sheet is empty).`
+        );
+      }
+
+      const headers = rows[0];
+      this.headers = headers;
+      if (!headers.includes(COLUMNS.NAME)) {
+        return missingHeadersFailure(headers, [COLUMNS.NAME]);
+      }
+
+      const match = options.exact
+        ? this.findItemRow(rows, itemName, options.location) ||
+          failure(
+            ERROR_CODES.NOT_FOUND,
+            `Item '${itemName}' not found in inventory.`
+          )
+        : this.resolveItemRow(rows, itemName, options.location);
+      if (isFailure(match)) {
+        return match;
+      }
+
+      const item = rowToItem(headers, match.row);
+      const resolved = typeof changes === "function" ? changes(item) : changes;
+      if (isFailure(resolved)) {
+        return resolved;
+      }
+
+      const missing = missingColumns(headers, Object.keys(resolved));
+      if (missing.length > 0) {
+        return missingHeadersFailure(headers, missing);
+      }
+
+      const updates = Object.entries(resolved).map(([header, value]) => ({
+        rowNumber: match.rowNumber,
+        columnIndex: headers.indexOf(header),
+        value: value,
+      }));
+      const timestamp = formatTimestamp();
+      const stamp = {};
+      const lastUpdatedColIndex = headers.indexOf(COLUMNS.LAST_UPDATED);
+      if (lastUpdatedColIndex !== -1) {
+        updates.push({
+          rowNumber: match.rowNumber,
+          columnIndex: lastUpdatedColIndex,
+          value: timestamp,
+        });
+        stamp[COLUMNS.LAST_UPDATED] = timestamp;
+      }
+      if (options.reason) {
+        updates.push({
+          rowNumber: match.rowNumber,
+          columnIndex: withColumn(headers, COLUMNS.LAST_REASON).indexOf(
+            COLUMNS.LAST_REASON
+          ),
+          value: options.reason,
+        });
+        stamp[COLUMNS.LAST_REASON] = options.reason;
+      }
+
+      return {
+        expected: [match],
+        write: async () => {
+          if (options.reason) {
+            await this.ensureColumn(headers, COLUMNS.LAST_REASON);
+          }
+          await this.writeCells(updates);
+
+          const oldValues = {};
+          Object.keys(resolved).forEach((header) => {
+            oldValues[header] = item[header];
+          });
+          await this.recordChange(options.context || {}, options.operation, {
+            timestamp,
+            item: item[COLUMNS.NAME],
+            oldValues,
+            newValues: resolved,
+            reason: options.reason,
+            beforeImage: item,
+            reverts: options.reverts,
+          });
+          return {
+            item: toTypedItem({ ...item, ...resolved, ...stamp }),
+            previous: toTypedItem(oldValues),
+          };
+        },
+      };
+    });
+  }
+
+  // What importing `records` (see ./bulkImport toImportRecords) would do to
+  // the sheet as it is now.
+  async previewImport(records) {
+    const rows = await this.readRows();
+    this.headers = rows[0];
+    return planImport(records, rows);
+  }
+
+  // Applies an import: all changed cells in one batch update and all new
+  // items in one append. Resolves to { added, updated, skipped } with the
+  // counts of new and updated items and the [{ line, message }] skipped.
+  // The plan is rebuilt from the sheet as it is when applying, so changes
+  // made since the preview are taken into account. Lines that are invalid
+  // by then are skipped and reported.
+  async importItems(records, reason, context = {}) {
+    console.log(`\n--- Importing ${records.length} item(s) ---`);
+    try {
+      return await this.runExclusive(() =>
+        this.writeVerified(
+          "importing items",
+          async (rows) => {
+            this.headers = rows[0];
+            const plan = planImport(records, rows);
+            const timestamp = formatTimestamp();
+            const stamp = { [COLUMNS.LAST_UPDATED]: timestamp };
+            if (reason) {
+              stamp[COLUMNS.LAST_REASON] = reason;
+            }
+            const headers = reason
+              ? withColumn(rows[0], COLUMNS.LAST_REASON)
+              : rows[0];
+
+            const updates = [];
+            plan.updates.forEach((update) => {
+              Object.entries({ ...update.changes, ...stamp }).forEach(
+                ([header, value]) => {
+                  if (headers.includes(header)) {
+                    updates.push({
+                      rowNumber: update.rowNumber,
+                      columnIndex: headers.indexOf(header),
+                      value,
+                    });
+                  }
+                }
+              );
+            });
+            return {
+              expected: plan.updates.map(({ rowNumber }) => ({
+                rowNumber,
+                row: rows[rowNumber - 1],
+              })),
+              write: async () => {
+                if (reason) {
+                  await this.ensureColumn(rows[0], COLUMNS.LAST_REASON);
+                }
+                if (updates.length > 0) {
+                  await this.writeCells(updates);
+                }
+                if (plan.newItems.length > 0) {
+                  await this.appendRows(
+                    plan.newItems.map((entry) => {
+                      const row = { ...entry.fields, ...stamp };
+                      return headers.map((header) =>
+                        row[header] === undefined ? "" : row[header]
+                      );
+                    })
+                  );
+                }
+
+                await this.recordChanges(context, "importItems", [
+                  ...plan.updates.map((update) => {
+                    const oldValues = {};
+                    Object.keys(update.changes).forEach((header) => {
+                      oldValues[header] = update.item[header];
+                    });
+                    return {
+                      timestamp,
+                      item: update.name,
+                      oldValues,
+                      newValues: update.changes,
+                      reason,
+                      beforeImage: update.item,
+                    };
+                  }),
+                  ...plan.newItems.map((entry) => ({
+                    timestamp,
+                    item: entry.name,
+                    oldValues: {},
+                    newValues: entry.fields,
+                    reason,
+                  })),
+                ]);
+
+                return {
+                  added: plan.newItems.length,
+                  updated: plan.updates.length,
+                  skipped: plan.errors,
+                };
+              },
+            };
+          },
+          // Fresh, so items just added in the sheet are updated, not added
+          { fresh: true }
+        )
+      );
+    } catch (err) {
+      console.error("The API returned an error importing items:", err.message);
+      return apiFailure(
+        err,
+        "Failed to import the items. Some of them may have been written, so please check the sheet before trying again."
+      );
+    }
+  }
+
+  async updateItemQuantity(
+    itemName,
+    newQuantity,
+    location = null,
+    context = {}
+  ) {
+    console.log(
+      `\n--- Attempting to update item: ${itemName} to quantity ${newQuantity} ---`
+    );
+    try {
+      return await this.runExclusive(() =>
+        this.writeItemFields(
+          itemName,
+          { [COLUMNS.QUANTITY]: newQuantity },
+          { context, operation: "updateItemQuantity", location }
+        )
+      );
+    } catch (err) {
+      console.error("The API returned an error updating item:", err.message);
+      return apiFailure(err, `Failed to update '${itemName}'.`);
+    }
+  }
+
+  // changes: column values keyed by header, e.g. { Supplier: "Acme" }
+  async updateItem(itemName, changes, location = null, context = {}) {
+    console.log(`\n--- Attempting to update item: ${itemName} ---`);
+    try {
+      if (Object.keys(changes).length === 0) {
+        return failure(
+          ERROR_CODES.VALIDATION,
+          `No fields given to update for '${itemName}'.`
+        );
+      }
+      return await this.runExclusive(() =>
+        this.writeItemFields(itemName, changes, {
+          context,
+          operation: "updateItem",
+          location,
+        })
+      );
+    } catch (err) {
+      console.error("The API returned an error updating item:", err.message);
+      return apiFailure(err, `Failed to update '${itemName}'.`);
+    }
+  }
+
+  // Changes the quantity by `delta` (positive to receive, negative to
+  // consume). The current value is read and written inside one exclusive
+  // operation; going below zero is refused unless `allowNegative` is set.
+  // Resolves to { item, previous, delta, reason } (see writeItemFields).
+  async adjustQuantity(
+    itemName,
+    delta,
+    reason,
+    allowNegative = false,
+    location = null,
+    context = {}
+  ) {
+    console.log(
+      `\n--- Attempting to adjust item: ${itemName} by ${delta} (${reason}) ---`
+    );
+    try {
+      const result = await this.runExclusive(() =>
+        this.writeItemFields(
+          itemName,
+          (item) => {
+            const current = parseQuantity(item);
+            if (isFailure(current)) {
+              return current;
+            }
+            if (current + delta < 0 && !allowNegative) {
+              return failure(
+                ERROR_CODES.INSUFFICIENT_STOCK,
+                `Refused: '${item[COLUMNS.NAME]}' has only ${current} in stock${
+                  item[COLUMNS.LOCATION] ? ` at ${item[COLUMNS.LOCATION]}` : ""
+                }, cannot remove ${-delta}.`,
+                { available: current }
+              );
+            }
+            return { [COLUMNS.QUANTITY]: current + delta };
+          },
+          { reason, context, operation: "adjustQuantity", location }
+        )
+      );
+      return isFailure(result) ? result : { ...result, delta, reason };
+    } catch (err) {
+      console.error("The API returned an error adjusting item:", err.message);
+      return apiFailure(err, `Failed to adjust '${itemName}'.`);
+    }
+  }
+
+  async receiveStock(
+    itemName,
+    quantity,
+    reason,
+    location = null,
+    context = {}
+  ) {
+    return this.adjustQuantity(itemName, quantity, reason, false, location, {
+      tool: "receiveStock",
+      ...context,
+    });
+  }
+
+  async consumeStock(
+    itemName,
+    quantity,
+    reason,
+    allowNegative = false,
+    location = null,
+    context = {}
+  ) {
+    return this.adjustQuantity(
+      itemName,
+      -quantity,
+      reason,
+      allowNegative,
+      location,
+      { tool: "consumeStock", ...context }
+    );
+  }
+
+  // Moves `quantity` units of an item from one location to another. Both
+  // rows are written with one request, so the units are never missing from
+  // both or counted at both. The item gets a row at `to` (a copy of its
+  // row at `from`) if it has none there yet. Refused when `from` holds
+  // fewer than `quantity`. Resolves to { name, quantity, reason, from, to }
+  // where from/to are { location, previous, quantity }.
+  async transferStock(itemName, quantity, from, to, reason, context = {}) {
+    console.log(
+      `\n--- Attempting to transfer ${quantity} of ${itemName} from ${from} to ${to} ---`
+    );
+    if (!(quantity > 0)) {
+      return failure(
+        ERROR_CODES.VALIDATION,
+        "The quantity to transfer must be more than zero."
+      );
+    }
+    if (!from || !to || sameLocation(from, to)) {
+      return failure(
+        ERROR_CODES.VALIDATION,
+        "A transfer needs two different locations."
+      );
+    }
+    try {
+      return await this.runExclusive(() =>
+        this.writeVerified(`transferring '${itemName}'`, async (rows) => {
+          if (rows.length === 0) {
+            return failure(
+              ERROR_CODES.NOT_FOUND,
+              `Item '${itemName}' not found (sheet is empty).`
+            );
+          }
+          this.headers = rows[0];
+          const headers = reason
+            ? withColumn(rows[0], COLUMNS.LAST_REASON)
+            : rows[0];
+          const missing = missingColumns(headers, [
+            COLUMNS.NAME,
+            COLUMNS.QUANTITY,
+            COLUMNS.LOCATION,
+          ]);
+          if (missing.length > 0) {
+            return missingHeadersFailure(headers, missing);
+          }
+
+          const source = this.resolveItemRow(rows, itemName, from);
+          if (isFailure(source)) {
+            return source;
+          }
+          const sourceItem = rowToItem(headers, source.row);
+          const name = sourceItem[COLUMNS.NAME];
+          const available = parseQuantity(sourceItem);
+          if (isFailure(available)) {
+            return available;
+          }
+          if (available < quantity) {
+            return failure(
+              ERROR_CODES.INSUFFICIENT_STOCK,
+              `Refused: '${name}' has only ${available} at ${
+                sourceItem[COLUMNS.LOCATION]
+              }, cannot move ${quantity}.`,
+              { available }
+            );
+          }
+          const target = this.findItemRow(rows, name, to);
+          const targetItem = target ? rowToItem(headers, target.row) : null;
+          const stocked = targetItem ? parseQuantity(targetItem) : 0;
+          if (isFailure(stocked)) {
+            return stocked;
+          }
+
+          const timestamp = formatTimestamp();
+          const transfer = crypto.randomBytes(8).toString("hex");
+          const stamp = { [COLUMNS.LAST_UPDATED]: timestamp };
+          if (reason) {
+            stamp[COLUMNS.LAST_REASON] = reason;
+          }
+          const sourceChanges = { [COLUMNS.QUANTITY]: available - quantity };
+          const targetChanges = { [COLUMNS.QUANTITY]: stocked + quantity };
+          const updates = cellUpdates(headers, source.rowNumber, {
+            ...sourceChanges,
+            ...stamp,
+          });
+          const newRows = [];
+          let targetEntry;
+          if (target) {
+            updates.push(
+              ...cellUpdates(headers, target.rowNumber, {
+                ...targetChanges,
+                ...stamp,
+              })
+            );
+            targetEntry = {
+              oldValues: { [COLUMNS.QUANTITY]: targetItem[COLUMNS.QUANTITY] },
+              newValues: targetChanges,
+              beforeImage: targetItem,
+            };
+          } else {
+            // The source row's other values, e.g. its price, carry over
+            const fields = {};
+            Object.entries(sourceItem).forEach(([header, value]) => {
+              if (
+                header.trim() !== "" &&
+                value !== "" &&
+                !MANAGED_COLUMNS.includes(header)
+              ) {
+                fields[header] = value;
+              }
+            });
+            Object.assign(fields, targetChanges, {
+              [COLUMNS.LOCATION]: to.trim(),
+            });
+            const row = { ...fields, ...stamp };
+            newRows.push(
+              headers.map((header) =>
+                row[header] === undefined ? "" : row[header]
+              )
+            );
+            targetEntry = { oldValues: {}, newValues: fields };
+          }
+
+          return {
+            expected: target ? [source, target] : [source],
+            write: async () => {
+              if (reason) {
+                await this.ensureColumn(rows[0], COLUMNS.LAST_REASON);
+              }
+              await this.writeBatch(updates, newRows, headers);
+              await this.recordChanges(context, "transferStock", [
+                {
+                  timestamp,
+                  item: name,
+                  oldValues: {
+                    [COLUMNS.QUANTITY]: sourceItem[COLUMNS.QUANTITY],
+                  },
+                  newValues: sourceChanges,
+                  reason,
+                  beforeImage: sourceItem,
+                  transfer,
+                },
+                { timestamp, item: name, reason, transfer, ...targetEntry },
+              ]);
+              return {
+                name,
+                quantity,
+                reason,
+                from: {
+                  location: sourceItem[COLUMNS.LOCATION],
+                  previous: available,
+                  quantity: available - quantity,
+                },
+                to: {
+                  location: targetItem
+                    ? targetItem[COLUMNS.LOCATION]
+                    : to.trim(),
+                  previous: stocked,
+                  quantity: stocked + quantity,
+                },
+              };
+            },
+          };
+        })
+      );
+    } catch (err) {
+      console.error(
+        "The API returned an error transferring stock:",
+        err.message
+      );
+      return apiFailure(err, `Failed to transfer '${itemName}'.`);
+    }
+  }
+
+  // Resolves to { deleted } with the values the item had.
+  async deleteItem(itemName, reason, location = null, context = {}) {
+    console.log(`\n--- Attempting to delete item: ${itemName} ---`);
+    try {
+      return await this.runExclusive(() =>
+        this.writeVerified(`deleting '${itemName}'`, async (rows) => {
+          if (rows.length === 0) {
+            return failure(
+              ERROR_CODES.NOT_FOUND,
+              `Item '${itemName}' not found (sheet is empty).`
+            );
+          }
+          const match = this.resolveItemRow(rows, itemName, location);
+          if (isFailure(match)) {
+            return match;
+          }
+
+          const item = rowToItem(rows[0], match.row);
+          return {
+            expected: [match],
+            write: async () => {
+              await this.removeRow(match.rowNumber);
+
+              const oldValues = { ...item };
+              MANAGED_COLUMNS.forEach((header) => delete oldValues[header]);
+              await this.recordChange(context, "deleteItem", {
+                timestamp: formatTimestamp(),
+                item: item[COLUMNS.NAME],
+                oldValues,
+                newValues: {},
+                reason,
+                beforeImage: item,
+              });
+              return { deleted: toTypedItem(item) };
+            },
+          };
+        })
+      );
+    } catch (err) {
+      console.error("The API returned an error deleting item:", err.message);
+      return apiFailure(err, `Failed to delete '${itemName}'.`);
+    }
+  }
+
+  // Rows whose names only differ in case, spacing or a plural ending, as
+  // [[{ rowNumber, item }, ...], ...] in sheet order. Rows at different
+  // locations are not duplicates. Reads the sheet unless given its `rows`.
+  async findDuplicateGroups(rows = null) {
+    rows = rows || (await this.readRows());
+    if (rows.length === 0) {
+      return [];
+    }
+    this.headers = rows[0];
+    const groups = new Map();
+    rows.slice(1).forEach((row, index) => {
+      const item = rowToItem(rows[0], row);
+      if (!item[COLUMNS.NAME]) {
+        return;
+      }
+      const key = `${normalizeItemName(item[COLUMNS.NAME])}@${String(
+        item[COLUMNS.LOCATION] || ""
+      )
+        .trim()
+        .toLowerCase()}`;
+      groups.set(key, [
+        ...(groups.get(key) || []),
+        { rowNumber: index + 2, item },
+      ]);
+    });
+    return [...groups.values()].filter((group) => group.length > 1);
+  }
+
+  // Reports duplicate rows as { groups } (see findDuplicateGroups), and
+  // with `merge` folds each group into its first row: quantities are added
+  // up, empty cells are filled from the other rows, and the other rows are
+  // deleted. Merging resolves to { merged: [{ item, names }], skipped:
+  // [{ name, message }] } with the kept item and the names merged into it.
+  async findDuplicates(merge = false, context = {}) {
+    console.log(`\n--- Looking for duplicate items (merge: ${merge}) ---`);
+    try {
+      if (!merge) {
+        const groups = await this.findDuplicateGroups();
+        return {
+          groups: groups.map((group) =>
+            group.map(({ rowNumber, item }) => ({
+              rowNumber,
+              item: toTypedItem(item),
+            }))
+          ),
+        };
+      }
+      return await this.runExclusive(() => this.mergeDuplicates(context));
+    } catch (err) {
+      console.error("The API returned an error merging items:", err.message);
+      return apiFailure(
+        err,
+        "Failed to merge the duplicate items. Some of them may have been merged, so please check the sheet before trying again."
+      );
+    }
+  }
+
+  // See findDuplicates. Callers must hold the mutation queue.
+  async mergeDuplicates(context) {
+    return this.writeVerified("merging duplicate items", async (rows) => {
+      const groups = await this.findDuplicateGroups(rows);
+      if (groups.length === 0) {
+        return { merged: [], skipped: [] };
+      }
+      const headers = this.headers;
+      const reason = "Merged duplicate items";
+      const timestamp = formatTimestamp();
+      const reasonColumn = withColumn(headers, COLUMNS.LAST_REASON).indexOf(
+        COLUMNS.LAST_REASON
+      );
+
+      const updates = [];
+      const deletions = [];
+      const entries = [];
+      const merged = [];
+      const skipped = [];
+      groups.forEach((group) => {
+        const [keeper, ...others] = group;
+        const quantities = group.map(({ item }) => parseQuantity(item));
+        const invalid = quantities.find(isFailure);
+        if (invalid) {
+          skipped.push({
+            name: keeper.item[COLUMNS.NAME],
+            message: invalid.error.message,
+          });
+          return;
+        }
+
+        const changes = {
+          [COLUMNS.QUANTITY]: quantities.reduce((sum, value) => sum + value, 0),
+        };
+        headers.forEach((header) => {
+          if (
+            header.trim() === "" ||
+            [COLUMNS.NAME, COLUMNS.QUANTITY, ...MANAGED_COLUMNS].includes(
+              header
+            ) ||
+            keeper.item[header] !== ""
+          ) {
+            return;
+          }
+          const filled = others.find(({ item }) => item[header] !== "");
+          if (filled) {
+            changes[header] = filled.item[header];
+          }
+        });
+        Object.entries({
+          ...changes,
+          [COLUMNS.LAST_UPDATED]: timestamp,
+        }).forEach(([header, value]) => {
+          if (headers.includes(header)) {
+            updates.push({
+              rowNumber: keeper.rowNumber,
+              columnIndex: headers.indexOf(header),
+              value,
+            });
+          }
+        });
+        updates.push({
+          rowNumber: keeper.rowNumber,
+          columnIndex: reasonColumn,
+          value: reason,
+        });
+
+        const oldValues = {};
+        Object.keys(changes).forEach((header) => {
+          oldValues[header] = keeper.item[header];
+        });
+        entries.push({
+          timestamp,
+          item: keeper.item[COLUMNS.NAME],
+          oldValues,
+          newValues: changes,
+          reason,
+          beforeImage: keeper.item,
+        });
+        others.forEach(({ rowNumber, item }) => {
+          deletions.push(rowNumber);
+          const deletedValues = { ...item };
+          MANAGED_COLUMNS.forEach((header) => delete deletedValues[header]);
+          entries.push({
+            timestamp,
+            item: item[COLUMNS.NAME],
+            oldValues: deletedValues,
+            newValues: {},
+            reason,
+            beforeImage: item,
+          });
+        });
+        merged.push({
+          item: toTypedItem({
+            ...keeper.item,
+            ...changes,
+            [COLUMNS.LAST_UPDATED]: timestamp,
+            [COLUMNS.LAST_REASON]: reason,
+          }),
+          names: others.map(({ item }) => item[COLUMNS.NAME]),
+        });
+      });
+
+      return {
+        expected: groups.flat().map(({ rowNumber }) => ({
+          rowNumber,
+          row: rows[rowNumber - 1],
+        })),
+        write: async () => {
+          if (updates.length > 0) {
+            await this.ensureColumn(headers, COLUMNS.LAST_REASON);
+            await this.writeCells(updates);
+          }
+          // Bottom up, so the row numbers still to delete do not move
+          for (const rowNumber of deletions.sort((a, b) => b - a)) {
+            await this.removeRow(rowNumber);
+          }
+          await this.recordChanges(context, "findDuplicates", entries);
+          return { merged, skipped };
+        },
+      };
+    });
+  }
+
+  // { name, entries } with the item's most recent changes, newest first.
+  async getItemHistory(itemName, limit = DEFAULT_HISTORY_LIMIT) {
+    console.log(`\n--- Reading history of item: ${itemName} ---`);
+    if (!this.auditLog) {
+      return failure(ERROR_CODES.UNAVAILABLE, "Change history is not enabled.");
+    }
+    try {
+      // Deleted items are no longer in the sheet, so fall back to the name
+      const item = await this.findItem(itemName);
+      const name = item ? item[COLUMNS.NAME] : itemName;
+      const entries = await this.auditLog.getItemHistory(name, limit);
+      return {
+        name,
+        entries: entries.map(
+          ({ timestamp, actor, tool, oldValues, newValues, reason }) => ({
+            timestamp,
+            actor,
+            tool,
+            oldValues,
+            newValues,
+            reason,
+          })
+        ),
+      };
+    } catch (err) {
+      console.error("The API returned an error reading history:", err.message);
+      return apiFailure(err, `Failed to read history for '${itemName}'.`);
+    }
+  }
+
+  // Audit log entries recorded after History row `afterRow`, oldest first.
+  async getChangesSince(afterRow = 1) {
+    if (!this.auditLog) {
+      return [];
+    }
+    const entries = await this.auditLog.readEntries();
+    return entries.filter((entry) => entry.rowNumber > afterRow);
+  }
+
+  // Reverts the most recent `count` changes made from `session` (a chat or
+  // CLI session), newest first; a transfer counts as one change. Stops at
+  // the first change that cannot be reverted because the item was modified
+  // by someone else since. Resolves to { undone, conflict }: a line per
+  // reverted change and why undoing stopped early, if it did. An empty
+  // `undone` means there was nothing to undo. `context.refuseUndo(entry)`,
+  // when given, may refuse a change the caller is not allowed to revert,
+  // returning why; undoing stops there.
+  async undo(session, count = 1, context = {}) {
+    console.log(
+      `\n--- Attempting to undo ${count} change(s) for ${session} ---`
+    );
+    if (!this.auditLog) {
+      return failure(
+        ERROR_CODES.UNAVAILABLE,
+        "Undo is not available because change history is not enabled."
+      );
+    }
+    if (!Number.isInteger(count) || count < 1 || count > MAX_UNDO_STEPS) {
+      return failure(
+        ERROR_CODES.VALIDATION,
+        `You can undo between 1 and ${MAX_UNDO_STEPS} changes at a time.`
+      );
+    }
+    try {
+      return await this.runExclusive(async () => {
+        const steps = undoSteps(
+          await this.auditLog.getUndoableEntries(session)
+        ).slice(0, count);
+        const { refuseUndo, ...rest } = context;
+        const undoContext = { ...rest, session, tool: UNDO_TOOL };
+        const undone = [];
+        for (const step of steps) {
+          const [entry] = step;
+          const refusal = refuseUndo ? refuseUndo(entry) : null;
+          const outcome = refusal
+            ? {
+                ok: false,
+                message: `Cannot undo ${entry.tool} of '${entry.item}' (${entry.timestamp}): ${refusal}`,
+              }
+            : entry.transfer
+            ? await this.revertTransfer(step, undoContext)
+            : await this.revertEntry(entry, undoContext);
+          if (!outcome.ok) {
+            return undone.length > 0
+              ? { undone, conflict: outcome.message }
+              : failure(ERROR_CODES.CONFLICT, outcome.message);
+          }
+          undone.push(outcome.message);
+        }
+        return { undone, conflict: null };
+      });
+    } catch (err) {
+      console.error("The API returned an error during undo:", err.message);
+      return apiFailure(err, "Failed to undo the last change.");
+    }
+  }
+
+  // Restores the before-image of one history entry. Callers must hold the
+  // mutation queue (see runExclusive).
+  async revertEntry(entry, context) {
+    const label = `${entry.tool} of '${entry.item}' (${entry.timestamp})`;
+
+    const later = await this.laterChangeFailure(entry, label);
+    if (later) {
+      return { ok: false, message: later.error.message };
+    }
+
+    // The row must still hold the values this change wrote
+    const conflictWith = (item) => undoConflict(entry, item, label);
+
+    // A deleted item is reverted by adding its row back
+    if (Object.keys(entry.newValues).length === 0) {
+      const rows = await this.readRows({ fresh: true });
+      if (
+        rows.length > 0 &&
+        this.findItemRow(rows, entry.item, entryLocation(entry))
+      ) {
+        return {
+          ok: false,
+          message: `Cannot undo ${label}: an item with that name exists again.`,
+        };
+      }
+      const headers = rows.length > 0 ? rows[0] : await this.getHeaders();
+      await this.appendRows([
+        headers.map((header) => entry.beforeImage[header] ?? ""),
+      ]);
+      await this.recordChange(context, UNDO_TOOL, {
+        timestamp: formatTimestamp(),
+        item: entry.item,
+        oldValues: {},
+        newValues: entry.oldValues,
+        reverts: entry.rowNumber,
+      });
+      return { ok: true, message: `Undid ${label}: restored the item.` };
+    }
+
+    // An added item is reverted by removing its row again
+    if (Object.keys(entry.oldValues).length === 0) {
+      const outcome = await this.writeVerified(
+        `undoing the addition of '${entry.item}'`,
+        async (rows) => {
+          const match =
+            rows.length > 0 &&
+            this.findItemRow(rows, entry.item, entryLocation(entry));
+          if (!match) {
+            return {
+              ok: false,
+              message: `Cannot undo ${label}: the item no longer exists.`,
+            };
+          }
+          const item = rowToItem(rows[0], match.row);
+          const conflict = conflictWith(item);
+          if (conflict) {
+            return { ok: false, message: conflict.error.message };
+          }
+          return {
+            expected: [match],
+            write: async () => {
+              await this.removeRow(match.rowNumber);
+              await this.recordChange(context, UNDO_TOOL, {
+                timestamp: formatTimestamp(),
+                item: entry.item,
+                oldValues: entry.newValues,
+                newValues: {},
+                beforeImage: item,
+                reverts: entry.rowNumber,
+              });
+              return {
+                ok: true,
+                message: `Undid ${label}: removed the item.`,
+              };
+            },
+          };
+        }
+      );
+      return isFailure(outcome)
+        ? { ok: false, message: outcome.error.message }
+        : outcome;
+    }
+
+    const restore = restoredValues(entry);
+    const result = await this.writeItemFields(
+      entry.item,
+      (item) => conflictWith(item) || restore,
+      {
+        context,
+        operation: UNDO_TOOL,
+        reason: `Undo of ${entry.tool} at ${entry.timestamp}`,
+        reverts: entry.rowNumber,
+        exact: true,
+        location: entryLocation(entry),
+      }
+    );
+    if (isFailure(result)) {
+      return { ok: false, message: result.error.message };
+    }
+    const summary = Object.entries(restore)
+      .map(([header, value]) => `${header} back to ${value}`)
+      .join(", ");
+    return { ok: true, message: `Undid ${label}: ${summary}.` };
+  }
+
+  // A CONFLICT failure if a later change to the item at the same location,
+  // not since undone, is still in effect; null otherwise.
+  async laterChangeFailure(entry, label) {
+    const entries = await this.auditLog.readEntries();
+    const reverted = new Set(
+      entries.filter((other) => other.reverts).map((other) => other.reverts)
+    );
+    const laterChange = entries.find(
+      (other) =>
+        other.rowNumber > entry.rowNumber &&
+        other.item.toLowerCase() === entry.item.toLowerCase() &&
+        sameLocation(entryLocation(other), entryLocation(entry)) &&
+        other.tool !== UNDO_TOOL &&
+        !reverted.has(other.rowNumber)
+    );
+    return laterChange
+      ? failure(
+          ERROR_CODES.CONFLICT,
+          `Cannot undo ${label}: it was changed since by ${laterChange.actor} (${laterChange.tool} at ${laterChange.timestamp}).`
+        )
+      : null;
+  }
+
+  // Reverts both entries of a stock transfer (see transferStock) with one
+  // writeBatch, so the units are never missing from both locations. A row
+  // the transfer added at the destination is emptied in that batch and
+  // removed afterwards. Callers must hold the mutation queue.
+  async revertTransfer(step, context) {
+    // Source leg first, as recorded
+    const entries = [...step].sort((a, b) => a.rowNumber - b.rowNumber);
+    const [first] = entries;
+    const label = `${first.tool} of '${first.item}' (${first.timestamp})`;
+    if (entries.length !== 2) {
+      return {
+        ok: false,
+        message: `Cannot undo ${label}: only part of the transfer is left to undo.`,
+      };
+    }
+    for (const entry of entries) {
+      const later = await this.laterChangeFailure(entry, label);
+      if (later) {
+        return { ok: false, message: later.error.message };
+      }
+    }
+
+    const outcome = await this.writeVerified(
+      `undoing the transfer of '${first.item}'`,
+      async (rows) => {
+        const legs = [];
+        for (const entry of entries) {
+          const location = entryLocation(entry);
+          const match =
+            rows.length > 0 && this.findItemRow(rows, entry.item, location);
+          if (!match) {
+            return {
+              ok: false,
+              message: `Cannot undo ${label}: the item no longer has a row at ${location}.`,
+            };
+          }
+          const item = rowToItem(rows[0], match.row);
+          const conflict = undoConflict(entry, item, label);
+          if (conflict) {
+            return { ok: false, message: conflict.error.message };
+          }
+          const added = Object.keys(entry.oldValues).length === 0;
+          legs.push({
+            entry,
+            match,
+            item,
+            location,
+            added,
+            restore: added ? {} : restoredValues(entry),
+          });
+        }
+
+        const headers = rows[0];
+        const stamp = {
+          [COLUMNS.LAST_UPDATED]: formatTimestamp(),
+          [COLUMNS.LAST_REASON]: `Undo of ${first.tool} at ${first.timestamp}`,
+        };
+        const updates = legs.flatMap(({ match, added, restore }) =>
+          cellUpdates(headers, match.rowNumber, {
+            ...(added ? { [COLUMNS.QUANTITY]: 0 } : restore),
+            ...stamp,
+          })
+        );
+        const addedLeg = legs.find(({ added }) => added);
+        return {
+          expected: legs.map(({ match }) => match),
+          write: async () => {
+            await this.writeBatch(updates, [], headers);
+            if (addedLeg) {
+              await this.removeRow(addedLeg.match.rowNumber);
+            }
+            await this.recordChanges(
+              context,
+              UNDO_TOOL,
+              legs.map(({ entry, item, restore }) => ({
+                timestamp: stamp[COLUMNS.LAST_UPDATED],
+                item: entry.item,
+                oldValues: entry.newValues,
+                newValues: restore,
+                beforeImage: item,
+                reverts: entry.rowNumber,
+              }))
+            );
+            const summary = legs
+              .map(({ location, added, restore }) =>
+                added
+                  ? `removed its row at ${location}`
+                  : `Quantity at ${location} back to ${
+                      restore[COLUMNS.QUANTITY]
+                    }`
+              )
+              .join(", ");
+            return { ok: true, message: `Undid ${label}: ${summary}.` };
+          },
+        };
+      }
+    );
+    return isFailure(outcome)
+      ? { ok: false, message: outcome.error.message }
+      : outcome;
+  }
+}
+
+module.exports = {
+  SheetsService,
+  formatTimestamp,
+  MAX_UNDO_STEPS,
+  ADD_MODES,
+};
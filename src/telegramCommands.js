@@ -0,0 +1,469 @@
+const { ROLES, hasRole } = require("./accessControl");
+const { parseSchedule, describeSchedule } = require("./inventoryDigest");
+const {
+  EXPORT_FORMATS,
+  exportInventory,
+  formatMoney,
+} = require("./inventoryExport");
+const { present, presentToolResponse } = require("./presenter");
+const { isFailure } = require("./results");
+const { describeTarget, formatUnavailable } = require("./sheetRouter");
+
+// --- Telegram Slash Commands ---
+// Commands answered directly, without a Gemini round-trip, so simple
+// operations are predictable and keep working when Vertex AI is unavailable.
+// Changes still go through the tool registry so role checks, confirmations
+// and the History worksheet behave exactly as for Gemini's tool calls.
+
+// "/Add@InventoryBot Wireless Mouse 5 20" -> { name: "add", args: [...] }
+// Double quotes keep a name with spaces together. Returns null for free text.
+function parseCommand(text) {
+  const match = text.trim().match(/^\/(\w+)(?:@\w+)?(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return null;
+  }
+  const args = [];
+  const tokenPattern = /"([^"]*)"|(\S+)/g;
+  let token;
+  while ((token = tokenPattern.exec(match[2] || "")) !== null) {
+    args.push(token[1] !== undefined ? token[1] : token[2]);
+  }
+  return { name: match[1].toLowerCase(), args, rest: (match[2] || "").trim() };
+}
+
+function parseAmount(text) {
+  const value = Number(text);
+  return text !== undefined && text !== "" && Number.isFinite(value)
+    ? value
+    : null;
+}
+
+function isTelegramId(text) {
+  return /^-?\d+$/.test(text || "");
+}
+
+// deps: { accessControl, sessionStore, sheetRouter,
+//         sendDocument(chatId, file) }
+// ctx passed to run(): { chatId, userId, role, toolContext, workspace }
+// where `workspace` is the chat's from sheetRouter.forChat(): { title,
+// sheetsService, toolRegistry, lowStockMonitor, digestScheduler }, or a
+// failure when its spreadsheet cannot be used. Commands marked `sheet`
+// need it.
+function createTelegramCommands(deps) {
+  const { accessControl, sessionStore, sheetRouter, sendDocument } = deps;
+
+  const callTool = async (name, args, ctx) =>
+    presentToolResponse(
+      await ctx.workspace.toolRegistry.callTool({ name, args }, ctx.toolContext)
+    );
+
+  // Low stock alerts and digests follow a chat to its new spreadsheet.
+  async function moveSubscriptions(chatId, from, to) {
+    if (isFailure(from) || from === to) {
+      return;
+    }
+    if (from.lowStockMonitor.unsubscribe(chatId)) {
+      to.lowStockMonitor.subscribe(chatId);
+    }
+    const schedule = from.digestScheduler.getSchedule(chatId);
+    if (schedule) {
+      from.digestScheduler.disable(chatId);
+      await to.digestScheduler.setSchedule(chatId, schedule);
+    }
+  }
+
+  const commands = {
+    help: {
+      usage: "/help",
+      description: "List the commands you can use",
+      role: "viewer",
+      run: (args, ctx) => {
+        const lines = Object.values(commands)
+          .filter((command) => !command.role || hasRole(ctx.role, command.role))
+          .map((command) => `${command.usage} - ${command.description}`);
+        return `Commands:\n${lines.join(
+          "\n"
+        )}\n\nAnything else you write is answered by the assistant.`;
+      },
+    },
+
+    whoami: {
+      usage: "/whoami",
+      description: "Show your user id and this chat's id",
+      run: (args, ctx) =>
+        `Your user id is ${ctx.userId} and this chat's id is ${ctx.chatId}.`,
+    },
+
+    inventory: {
+      usage: "/inventory",
+      description: "List every item",
+      role: "viewer",
+      sheet: true,
+      run: async (args, ctx) =>
+        present(
+          "readInventory",
+          await ctx.workspace.sheetsService.readInventory()
+        ),
+    },
+
+    find: {
+      usage: "/find <text>",
+      description: "List the items containing the text",
+      role: "viewer",
+      sheet: true,
+      run: async (args, ctx, command) => {
+        if (!command.rest) {
+          return "Usage: /find <text>";
+        }
+        return present(
+          "searchInventory",
+          await ctx.workspace.sheetsService.searchInventory(
+            command.rest.replace(/"/g, "")
+          )
+        );
+      },
+    },
+
+    refresh: {
+      usage: "/refresh",
+      description: "Reload the inventory after editing the sheet by hand",
+      role: "viewer",
+      sheet: true,
+      run: async (args, ctx) =>
+        present("refresh", await ctx.workspace.sheetsService.refresh()),
+    },
+
+    export: {
+      usage: `/export [${EXPORT_FORMATS.join("|")}] [filter]`,
+      description: "Get the inventory as a file",
+      role: "viewer",
+      sheet: true,
+      run: async (args, ctx) => {
+        const first = (args[0] || "").toLowerCase();
+        const hasFormat = EXPORT_FORMATS.includes(first);
+        const format = hasFormat ? first : "csv";
+        const filter = (hasFormat ? args.slice(1) : args).join(" ");
+        const file = await exportInventory(
+          ctx.workspace.sheetsService,
+          format,
+          { filter }
+        );
+        await sendDocument(ctx.chatId, {
+          ...file,
+          caption: `${file.itemCount} item(s)${
+            filter ? ` matching '${filter}'` : ""
+          }, total value $${formatMoney(file.total)}, generated ${
+            file.generatedAt
+          }.`,
+        });
+        return null;
+      },
+    },
+
+    add: {
+      usage: "/add <name> <qty> <price>",
+      description: "Add a new item",
+      role: "manager",
+      sheet: true,
+      run: (args, ctx) => {
+        const quantity = parseAmount(args[args.length - 2]);
+        const price = parseAmount(args[args.length - 1]);
+        const itemName = args.slice(0, -2).join(" ");
+        if (!itemName || quantity === null || price === null) {
+          return "Usage: /add <name> <qty> <price>, e.g. /add Wireless Mouse 5 19.99";
+        }
+        return callTool(
+          "addRow",
+          { itemName, quantity, price, mode: "refuse" },
+          ctx
+        );
+      },
+    },
+
+    set: {
+      usage: "/set <name> <qty> [at <location>]",
+      description: "Set an item's quantity",
+      role: "clerk",
+      sheet: true,
+      run: (args, ctx) => {
+        // "/set Laptop 10 at Back Room" sets the Back Room row
+        const at = args.findIndex(
+          (arg, index) =>
+            index > 1 &&
+            arg.toLowerCase() === "at" &&
+            parseAmount(args[index - 1]) !== null
+        );
+        const end = at === -1 ? args.length : at;
+        const newQuantity = parseAmount(args[end - 1]);
+        const itemName = args.slice(0, end - 1).join(" ");
+        const location = at === -1 ? null : args.slice(at + 1).join(" ");
+        if (!itemName || newQuantity === null || location === "") {
+          return "Usage: /set <name> <qty> [at <location>], e.g. /set Laptop 10 at Shop";
+        }
+        return callTool(
+          "updateItemQuantity",
+          location
+            ? { itemName, newQuantity, location }
+            : { itemName, newQuantity },
+          ctx
+        );
+      },
+    },
+
+    subscribe: {
+      usage: "/subscribe",
+      description: "Get low stock alerts in this chat",
+      role: "viewer",
+      sheet: true,
+      run: (args, ctx) =>
+        ctx.workspace.lowStockMonitor.subscribe(ctx.chatId)
+          ? "This chat will now be alerted when items run low."
+          : "This chat is already subscribed to low stock alerts.",
+    },
+
+    unsubscribe: {
+      usage: "/unsubscribe",
+      description: "Stop low stock alerts in this chat",
+      role: "viewer",
+      sheet: true,
+      run: (args, ctx) =>
+        ctx.workspace.lowStockMonitor.unsubscribe(ctx.chatId)
+          ? "This chat will no longer get low stock alerts."
+          : "This chat was not subscribed to low stock alerts.",
+    },
+
+    digest: {
+      usage: "/digest daily|weekly [day] <HH:MM> [time zone]",
+      description: "Schedule an inventory digest (/digest off, /digest now)",
+      role: "viewer",
+      sheet: true,
+      run: async (args, ctx) => {
+        const { digestScheduler } = ctx.workspace;
+        const usage =
+          "Usage: /digest daily 08:00 Europe/Berlin, /digest weekly mon 08:00, /digest off or /digest now";
+        const action = (args[0] || "").toLowerCase();
+        if (!action) {
+          const schedule = digestScheduler.getSchedule(ctx.chatId);
+          return schedule
+            ? `This chat gets a ${describeSchedule(schedule)} digest.\n${usage}`
+            : `This chat has no digest scheduled.\n${usage}`;
+        }
+        if (action === "off") {
+          return digestScheduler.disable(ctx.chatId)
+            ? "Digests are turned off for this chat."
+            : "This chat had no digest scheduled.";
+        }
+        if (action === "now") {
+          await digestScheduler.sendDigest(ctx.chatId);
+          return null;
+        }
+        const { schedule, error } = parseSchedule(
+          args,
+          digestScheduler.defaultTimeZone
+        );
+        if (error) {
+          return `${error}\n${usage}`;
+        }
+        await digestScheduler.setSchedule(ctx.chatId, schedule);
+        return `This chat will get a ${describeSchedule(schedule)} digest.`;
+      },
+    },
+
+    undo: {
+      usage: "/undo [N]",
+      description: "Revert this chat's last change(s)",
+      role: "clerk",
+      sheet: true,
+      run: async (args, ctx) => {
+        const count = args[0] === undefined ? 1 : Number(args[0]);
+        const { sheetsService, toolRegistry } = ctx.workspace;
+        // Reverting a change needs the role of the tool that made it;
+        // changes made without a tool (a file import) need a manager
+        const refuseUndo = (entry) => {
+          const required = toolRegistry.has(entry.tool)
+            ? toolRegistry.getRole(entry.tool)
+            : "manager";
+          return !required || hasRole(ctx.role, required)
+            ? null
+            : `that change needs the ${required} role to undo and yours is ${ctx.role}.`;
+        };
+        return present(
+          "undo",
+          await sheetsService.undo(ctx.toolContext.session, count, {
+            ...ctx.toolContext,
+            refuseUndo,
+          })
+        );
+      },
+    },
+
+    reset: {
+      usage: "/reset",
+      description: "Start a fresh conversation with the assistant",
+      role: "viewer",
+      run: (args, ctx) =>
+        sessionStore.reset(ctx.chatId)
+          ? "Okay, I've forgotten our conversation. Let's start fresh."
+          : "There was no conversation to forget.",
+    },
+
+    connect: {
+      usage: "/connect <spreadsheet id or URL> [worksheet]",
+      description: "Work on another Google Sheet in this chat",
+      role: "admin",
+      run: async (args, ctx) => {
+        const target =
+          args[0] &&
+          sheetRouter.resolveTarget(args[0], args.slice(1).join(" "));
+        if (!target) {
+          return "Usage: /connect <spreadsheet id or URL> [worksheet], e.g. /connect 1AbC...xyz Stock. Share the sheet with the bot's service account as an Editor first.";
+        }
+        const workspace = await sheetRouter.connect(
+          ctx.chatId,
+          target,
+          ctx.toolContext.actor
+        );
+        if (isFailure(workspace)) {
+          return `Could not connect to ${describeTarget(target)}: ${
+            workspace.error.message
+          }`;
+        }
+        await moveSubscriptions(ctx.chatId, ctx.workspace, workspace);
+        // The conversation so far was about the other sheet's items
+        sessionStore.reset(ctx.chatId);
+        return `This chat now works on ${describeTarget(
+          target,
+          workspace.title
+        )}.`;
+      },
+    },
+
+    disconnect: {
+      usage: "/disconnect",
+      description: "Go back to the default Google Sheet in this chat",
+      role: "admin",
+      run: async (args, ctx) => {
+        if (!sheetRouter.getBinding(ctx.chatId)) {
+          return "This chat already works on the default spreadsheet.";
+        }
+        const target = sheetRouter.defaultTarget;
+        const workspace = await sheetRouter.connect(
+          ctx.chatId,
+          target,
+          ctx.toolContext.actor
+        );
+        if (isFailure(workspace)) {
+          return formatUnavailable(workspace);
+        }
+        await moveSubscriptions(ctx.chatId, ctx.workspace, workspace);
+        sessionStore.reset(ctx.chatId);
+        return `This chat is back on the default spreadsheet, ${describeTarget(
+          target,
+          workspace.title
+        )}.`;
+      },
+    },
+
+    whichsheet: {
+      usage: "/whichsheet",
+      description: "Show which Google Sheet this chat works on",
+      role: "viewer",
+      run: (args, ctx) => {
+        const binding = sheetRouter.getBinding(ctx.chatId);
+        const target = sheetRouter.getTarget(ctx.chatId);
+        const usable = !isFailure(ctx.workspace);
+        const lines = [
+          `This chat works on ${describeTarget(
+            target,
+            usable ? ctx.workspace.title : null
+          )}${
+            binding
+              ? `, connected by ${
+                  binding.connectedBy
+                } on ${binding.connectedAt.slice(0, 10)}`
+              : ", the default spreadsheet"
+          }.`,
+        ];
+        if (target.spreadsheetId) {
+          lines.push(`Spreadsheet id: ${target.spreadsheetId}`);
+        }
+        if (!usable) {
+          lines.push(formatUnavailable(ctx.workspace));
+        }
+        return lines.join("\n");
+      },
+    },
+
+    roles: {
+      usage: "/roles",
+      description: "List granted roles",
+      role: "admin",
+      run: () => {
+        const grants = accessControl.listGrants();
+        if (grants.length === 0) {
+          return "No roles have been granted yet.";
+        }
+        return `Granted roles:\n${grants
+          .map((grant) => `- ${grant.id}: ${grant.role}`)
+          .join("\n")}`;
+      },
+    },
+
+    grant: {
+      usage: `/grant <userId or chatId> <${ROLES.join("|")}>`,
+      description: "Give a user or chat a role",
+      role: "admin",
+      run: (args, ctx) => {
+        const [targetId, newRole] = args;
+        if (!isTelegramId(targetId) || !ROLES.includes(newRole)) {
+          return `Usage: /grant <userId or chatId> <${ROLES.join("|")}>`;
+        }
+        accessControl.grant(targetId, newRole, ctx.toolContext.actor);
+        return `Granted ${newRole} to ${targetId}.`;
+      },
+    },
+
+    revoke: {
+      usage: "/revoke <userId or chatId>",
+      description: "Remove a granted role",
+      role: "admin",
+      run: (args) => {
+        const [targetId] = args;
+        if (!isTelegramId(targetId)) {
+          return "Usage: /revoke <userId or chatId>";
+        }
+        return accessControl.revoke(targetId)
+          ? `Revoked the role of ${targetId}.`
+          : `${targetId} had no granted role.`;
+      },
+    },
+  };
+
+  return {
+    // Commands without a role, like /whoami, are open to everyone.
+    isPublic(name) {
+      return Boolean(commands[name]) && !commands[name].role;
+    },
+
+    // Resolves to the reply text, or null when there is nothing to send.
+    // Telegram sends /start when a user first opens the bot.
+    async run(command, ctx) {
+      const definition =
+        commands[command.name === "start" ? "help" : command.name];
+      if (!definition) {
+        return `Unknown command /${command.name}. Send /help to see what I can do.`;
+      }
+      if (definition.role && !hasRole(ctx.role, definition.role)) {
+        return `Sorry, ${definition.usage.split(" ")[0]} needs the ${
+          definition.role
+        } role and yours is ${ctx.role}. Please ask an admin for access.`;
+      }
+      if (definition.sheet && isFailure(ctx.workspace)) {
+        return formatUnavailable(ctx.workspace);
+      }
+      return definition.run(command.args, ctx, command);
+    },
+  };
+}
+
+module.exports = { parseCommand, createTelegramCommands };
@@ -0,0 +1,257 @@
+// --- Tool Registry ---
+// Maps each Gemini function declaration to a handler that receives a
+// named-args object. Only registered tools can be called, and args are
+// checked against the same `parameters` schema that is sent to Gemini.
+// A tool may require a minimum role (see ./accessControl), which is checked
+// against `context.role` on every call.
+
+const { hasRole } = require("./accessControl");
+const { failure, isFailure } = require("./results");
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+function validateValue(schema, value, field, errors) {
+  const type = schema.type?.toLowerCase();
+  const check = TYPE_CHECKS[type];
+
+  if (check && !check(value)) {
+    errors.push({ field, message: `must be of type ${type}` });
+    return;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      field,
+      message: `must be one of: ${schema.enum.join(", ")}`,
+    });
+  }
+
+  if (type === "string" && value.trim() === "") {
+    errors.push({ field, message: "must not be empty" });
+  }
+
+  if (
+    (type === "number" || type === "integer") &&
+    schema.minimum !== undefined &&
+    value < schema.minimum
+  ) {
+    errors.push({ field, message: `must be at least ${schema.minimum}` });
+  }
+
+  if (
+    (type === "number" || type === "integer") &&
+    schema.maximum !== undefined &&
+    value > schema.maximum
+  ) {
+    errors.push({ field, message: `must be at most ${schema.maximum}` });
+  }
+
+  if (type === "array" && schema.items) {
+    value.forEach((entry, index) =>
+      validateValue(schema.items, entry, `${field}[${index}]`, errors)
+    );
+  }
+
+  if (type === "object" && schema.properties) {
+    validateObject(schema, value, field, errors);
+  }
+}
+
+function validateObject(schema, value, prefix, errors) {
+  const properties = schema.properties || {};
+  const path = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push({ field: path(key), message: "is required" });
+    }
+  }
+
+  for (const [key, entry] of Object.entries(value)) {
+    if (!properties[key]) {
+      errors.push({ field: path(key), message: "is not a known argument" });
+    } else if (entry !== undefined && entry !== null) {
+      validateValue(properties[key], entry, path(key), errors);
+    }
+  }
+}
+
+// Returns a list of { field, message } problems; empty when args are valid.
+function validateArgs(schema, args) {
+  const errors = [];
+  if (!TYPE_CHECKS.object(args)) {
+    errors.push({ field: "", message: "arguments must be an object" });
+    return errors;
+  }
+  validateObject(
+    schema || { type: "object", properties: {} },
+    args,
+    "",
+    errors
+  );
+  return errors;
+}
+
+function errorResponse(name, code, message, details) {
+  return {
+    functionResponse: {
+      name: name,
+      response: failure(code, message, details),
+    },
+  };
+}
+
+class ToolRegistry {
+  // options: { confirmationPolicy } - see ./confirmationPolicy
+  constructor(options = {}) {
+    this.tools = new Map();
+    this.confirmationPolicy = options.confirmationPolicy || null;
+  }
+
+  // options: { role } - minimum role needed to call the tool
+  register(declaration, handler, options = {}) {
+    if (this.tools.has(declaration.name)) {
+      throw new Error(`Tool ${declaration.name} is already registered.`);
+    }
+    this.tools.set(declaration.name, {
+      declaration,
+      handler,
+      role: options.role || null,
+    });
+    return this;
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  // Minimum role needed to call the tool, null when anyone may (or there is
+  // no such tool).
+  getRole(name) {
+    const tool = this.tools.get(name);
+    return tool ? tool.role : null;
+  }
+
+  getFunctionDeclarations() {
+    return [...this.tools.values()].map((tool) => tool.declaration);
+  }
+
+  // Shape expected by `model.startChat({ tools })`
+  getTools() {
+    return [{ functionDeclarations: this.getFunctionDeclarations() }];
+  }
+
+  // Executes a Gemini functionCall and always resolves to a functionResponse
+  // part, so failures go back to the model instead of being thrown. A
+  // handler's result becomes `response.content`, except failures (see
+  // ./results), which become the response itself like the registry's own.
+  // `context` (e.g. { actor, role }) is handed to the handler along with the
+  // tool name.
+  async callTool(functionCall, context = {}) {
+    const { name } = functionCall;
+    const args = functionCall.args || {};
+    console.log(
+      `\nGemini requested to call function: ${name} with args:`,
+      args
+    );
+
+    const tool = this.tools.get(name);
+    if (!tool) {
+      console.error(`Error: Function ${name} is not a registered tool.`);
+      return errorResponse(
+        name,
+        "UNKNOWN_TOOL",
+        `Function ${name} is not available. Available tools: ${[
+          ...this.tools.keys(),
+        ].join(", ")}.`
+      );
+    }
+
+    if (tool.role && !hasRole(context.role, tool.role)) {
+      console.error(
+        `Permission denied: ${context.actor || "caller"} (${
+          context.role || "no role"
+        }) called ${name}.`
+      );
+      return errorResponse(
+        name,
+        "PERMISSION_DENIED",
+        `The user's role (${
+          context.role || "none"
+        }) is not allowed to use ${name}; it needs the ${
+          tool.role
+        } role. Do not retry; politely tell the user to ask an admin for access.`
+      );
+    }
+
+    const errors = validateArgs(tool.declaration.parameters, args);
+    if (errors.length > 0) {
+      console.error(`Invalid arguments for tool ${name}:`, errors);
+      return errorResponse(
+        name,
+        "VALIDATION",
+        `Invalid arguments for ${name}. Fix them and call the tool again.`,
+        errors
+      );
+    }
+
+    // Risky calls wait for the user. `context.confirm(preview, functionCall)`
+    // resolves to "confirmed", "cancelled" or "pending" (asked
+    // asynchronously; the frontend re-runs the call with `confirmed: true`).
+    if (this.confirmationPolicy && context.confirm && !context.confirmed) {
+      const preview = await this.confirmationPolicy.review(name, args);
+      if (preview) {
+        const decision = await context.confirm(preview, { name, args });
+        if (decision === "pending") {
+          return {
+            functionResponse: {
+              name: name,
+              response: {
+                status: "PENDING_CONFIRMATION",
+                content: `Nothing has been changed yet. The user was asked to confirm "${preview}" with Confirm/Cancel buttons; tell them to press Confirm or Cancel.`,
+              },
+            },
+          };
+        }
+        if (decision !== "confirmed") {
+          return {
+            functionResponse: {
+              name: name,
+              response: {
+                status: "CANCELLED",
+                content: `The user cancelled "${preview}". Nothing was changed.`,
+              },
+            },
+          };
+        }
+      }
+    }
+
+    try {
+      const result = await tool.handler(args, { ...context, tool: name });
+      return {
+        functionResponse: {
+          name: name,
+          response: isFailure(result) ? result : { content: result },
+        },
+      };
+    } catch (error) {
+      console.error(`Error executing tool ${name}:`, error);
+      return errorResponse(
+        name,
+        "TOOL_ERROR",
+        `Failed to execute tool ${name}. ${error.message}`
+      );
+    }
+  }
+}
+
+module.exports = { ToolRegistry, validateArgs };